@@ -0,0 +1,98 @@
+"use strict";
+
+/**
+ * Expose `cors`.
+ */
+
+module.exports = cors;
+
+/**
+ * Set the CORS response headers of a cross-origin request.
+ *
+ * Options:
+ *
+ *   - `origin` allowed origins: "*" (default), an origin, an array of
+ *     origins, or a function returning the allowed origin of the context
+ *   - `credentials` allow credentials
+ *   - `exposeHeaders` headers exposed to the client
+ *   - `allowHeaders` headers allowed in requests (default: the requested ones)
+ *   - `maxAge` seconds to cache preflight responses
+ *
+ * Preflight requests are answered with the `methods` available for the path.
+ *
+ * @param {Context} ctx
+ * @param {Object|Boolean} options `true` for the default options
+ * @param {Array=} methods Optional. Allowed methods of preflight requests.
+ * @return {Boolean} whether the origin is allowed
+ * @api private
+ */
+
+function cors(ctx, options, methods) {
+
+  var requestOrigin = ctx.get("Origin");
+  if (!requestOrigin) {
+    return false;
+  }
+
+  options = (options === true ? {} : options);
+  ctx.vary("Origin");
+
+  var origin = allowedOrigin(ctx, options.origin, requestOrigin);
+  if (!origin) {
+    return false;
+  }
+
+  // Wildcard origins can't be used with credentials.
+  if (origin === "*" && options.credentials) {
+    origin = requestOrigin;
+  }
+
+  ctx.set("Access-Control-Allow-Origin", origin);
+  if (options.credentials) {
+    ctx.set("Access-Control-Allow-Credentials", "true");
+  }
+
+  if (!methods) {
+    if (options.exposeHeaders) {
+      ctx.set("Access-Control-Expose-Headers", [].concat(options.exposeHeaders).join(", "));
+    }
+
+    return true;
+  }
+
+  ctx.set("Access-Control-Allow-Methods", methods.join(", "));
+
+  var headers = options.allowHeaders || ctx.get("Access-Control-Request-Headers");
+  if (headers && headers.length) {
+    ctx.set("Access-Control-Allow-Headers", [].concat(headers).join(", "));
+  }
+
+  if (options.maxAge !== undefined) {
+    ctx.set("Access-Control-Max-Age", String(options.maxAge));
+  }
+
+  return true;
+}
+
+/**
+ * Get the origin allowed for `requestOrigin`.
+ *
+ * @param {Context} ctx
+ * @param {String|Array|Function} allowed
+ * @param {String} requestOrigin
+ * @return {String?}
+ * @api private
+ */
+
+function allowedOrigin(ctx, allowed, requestOrigin) {
+
+  if (allowed === undefined || allowed === "*") {
+    return "*";
+  }
+
+  if (typeof allowed === "function") {
+    return allowed.call(ctx, requestOrigin) || null;
+  }
+
+  return [].concat(allowed).indexOf(requestOrigin) >= 0 ? requestOrigin : null;
+}
@@ -0,0 +1,157 @@
+"use strict";
+
+/**
+ * Dependencies
+ */
+
+var fs = require("fs");
+var methods = require("methods");
+var path = require("path");
+
+/**
+ * Register the routes of the files in `dir` with `router`.
+ *
+ * Files export their middleware by method, e.g. `exports.get`, and route
+ * the path of their name: `index.js` routes the root, `[id].js` routes
+ * `/:id` and `[...path].js` routes `/:path*`. Directories are mounted as
+ * child routers created with `createRouter()`.
+ *
+ * Static names are registered before params, so `new.js` is not taken for
+ * `[id].js`.
+ *
+ * @param {Router} router
+ * @param {String} dir
+ * @param {Object} opts `extensions` of the loaded files (default: [".js"])
+ * @param {Function} createRouter
+ * @return {Router}
+ * @api private
+ */
+
+exports.load = function load(router, dir, opts, createRouter) {
+
+  var extensions = opts.extensions || [".js"];
+  entries(dir).forEach(function (entry) {
+
+    // Resolved, since `require()` looks up relative names in node_modules.
+    var file = path.resolve(dir, entry.name);
+    if (entry.directory) {
+      var child = exports.load(createRouter(), file, opts, createRouter);
+      router.mount("/" + toSegment(entry.name), child);
+      return;
+    }
+
+    var ext = path.extname(entry.name);
+    if (extensions.indexOf(ext) < 0) {
+      return;
+    }
+
+    var name = path.basename(entry.name, ext);
+    var handlers = require(file);
+    var route = (name === "index" ? "/" : "/" + toSegment(name));
+
+    methods.forEach(function (method) {
+
+      if (handlers[method]) {
+        router.register(route, [method], handlers[method]);
+      }
+    });
+  });
+
+  return router;
+};
+
+/**
+ * Get the signature of the files in `dir`, which changes when files are
+ * added, removed or modified.
+ *
+ * @param {String} dir
+ * @return {String}
+ * @api private
+ */
+
+exports.signature = function signature(dir) {
+
+  return entries(dir).map(function (entry) {
+
+    var file = path.join(dir, entry.name);
+    if (entry.directory) {
+      return entry.name + "/{" + exports.signature(file) + "}";
+    }
+
+    return entry.name + ":" + fs.statSync(file).mtime.getTime();
+  }).join(",");
+};
+
+/**
+ * Remove the files in `dir` from the cache of `require()`, so that they
+ * are loaded again.
+ *
+ * @param {String} dir
+ * @api private
+ */
+
+exports.uncache = function uncache(dir) {
+
+  var prefix = path.resolve(dir) + path.sep;
+  Object.keys(require.cache).forEach(function (file) {
+
+    if (file.indexOf(prefix) === 0) {
+      delete require.cache[file];
+    }
+  });
+};
+
+/**
+ * Get the entries of `dir`: static names first, then params, then
+ * repeated params, each in alphabetical order.
+ *
+ * @param {String} dir
+ * @return {Array} of `name` and `directory`
+ * @api private
+ */
+
+function entries(dir) {
+
+  return fs.readdirSync(dir).map(function (name) {
+
+    return {
+      "name": name,
+      "directory": fs.statSync(path.join(dir, name)).isDirectory()
+    };
+  }).sort(function (a, b) {
+
+    return rank(a.name) - rank(b.name) || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+  });
+}
+
+/**
+ * Rank of the entry `name` in registration order.
+ *
+ * @param {String} name
+ * @return {Number}
+ * @api private
+ */
+
+function rank(name) {
+
+  if (name.indexOf("[...") === 0) {
+    return 2;
+  }
+
+  return name[0] === "[" ? 1 : 0;
+}
+
+/**
+ * Convert the file `name` to a path segment, e.g. `[id]` to `:id`.
+ *
+ * @param {String} name
+ * @return {String}
+ * @api private
+ */
+
+function toSegment(name) {
+
+  return name
+    .replace(/\[\.\.\.(\w+)\]/g, ":$1*")
+    .replace(/\[(\w+)\]/g, ":$1");
+}
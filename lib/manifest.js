@@ -0,0 +1,239 @@
+"use strict";
+
+/**
+ * Dependencies
+ */
+
+var methods = require("methods");
+var Route = require("./route");
+
+/**
+ * Expose `load`.
+ */
+
+module.exports = load;
+
+/**
+ * Register the routes described by `manifest` with `router`, resolving the
+ * handler references from the `handlers` registry.
+ *
+ * The manifest has `params`, mapping param names to handler references,
+ * and `routes` registered in order, which are one of:
+ *
+ *   - routes: `{ name, path, methods, options, handler }`
+ *   - mounts: `{ name, path, options, mount }`
+ *   - redirects: `{ path, redirect, status }`, redirecting to a path or a
+ *     route name, which cannot be named themselves
+ *
+ * Handler references are names in the registry, e.g. "users.show" for
+ * `handlers["users.show"]` or `handlers.users.show`, or arrays of them.
+ *
+ * The whole manifest is checked before registering anything, so unknown
+ * handlers, handlers which are no middleware, duplicate names, unknown
+ * methods and invalid paths throw without changing the router.
+ *
+ * @param {Router} router
+ * @param {Object|String} manifest or its JSON
+ * @param {Object} handlers
+ * @return {Router}
+ * @api private
+ */
+
+function load(router, manifest, handlers) {
+
+  if (typeof manifest === "string") {
+    manifest = JSON.parse(manifest);
+  }
+
+  handlers = handlers || {};
+
+  var actions = [];
+  var names = {};
+  (manifest.routes || []).forEach(function (entry, i) {
+
+    var where = "routes[" + i + "]";
+    check(router, entry, where, names);
+
+    var options = entry.options ? [entry.options] : [];
+    if (entry.redirect !== undefined) {
+      actions.push(function () {
+
+        // Route names are resolved now, instead of redirecting to the error.
+        var destination = entry.redirect;
+        if (destination[0] !== "/") {
+          destination = router.url(destination);
+          if (destination instanceof Error) {
+            fail(where + ".redirect", destination.message);
+          }
+        }
+
+        router.redirect(entry.path, destination, entry.status);
+      });
+
+    } else if (entry.mount !== undefined) {
+      var mounted = resolve(handlers, entry.mount, where + ".mount");
+      actions.push(function () {
+
+        var args = entry.name ? [entry.name, entry.path] : [entry.path];
+        router.mount.apply(router, args.concat(options, mounted));
+      });
+
+    } else {
+      var middleware = resolve(handlers, entry.handler, where + ".handler");
+      actions.push(function () {
+
+        var args = entry.name ? [entry.name, entry.path] : [entry.path];
+        router.register.apply(router, args.concat([entry.methods], options, middleware));
+      });
+    }
+  });
+
+  // Param handlers are added last, since they change the existing routes.
+  var params = manifest.params || {};
+  Object.keys(params).forEach(function (param) {
+
+    var where = "params." + param;
+    var fn = resolve(handlers, params[param], where);
+    if (fn.length !== 1 || typeof fn[0] !== "function") {
+      fail(where, "must refer to one function");
+    }
+
+    actions.push(function () {
+
+      router.param(param, fn[0]);
+    });
+  });
+
+  // Restore the routes if registering throws anyway.
+  var routes = router.routes.slice();
+  var registered = router.methods.slice();
+  try {
+    actions.forEach(function (action) {
+
+      action();
+    });
+  } catch (err) {
+    router.routes = routes;
+    router.methods = registered;
+    router.tree = null;
+    throw err;
+  }
+
+  return router;
+}
+
+/**
+ * Check the manifest `entry` at `where`, throwing for duplicate `names`,
+ * unknown methods and invalid paths.
+ *
+ * @param {Router} router
+ * @param {Object} entry
+ * @param {String} where
+ * @param {Object} names of the routes in the manifest so far
+ * @api private
+ */
+
+function check(router, entry, where, names) {
+
+  if (typeof entry.path !== "string" || entry.path[0] !== "/") {
+    fail(where + ".path", "must be a path starting with \"/\", not `" + entry.path + "`");
+  }
+
+  try {
+    new Route(entry.path, [], [], entry.name, router.opts);
+  } catch (err) {
+    fail(where + ".path", "invalid path `" + entry.path + "`: " + err.message);
+  }
+
+  if (entry.name !== undefined) {
+    if (entry.redirect !== undefined) {
+      fail(where + ".name", "redirects cannot be named");
+    }
+
+    if (typeof entry.name !== "string" || !entry.name || entry.name[0] === "/") {
+      fail(where + ".name", "invalid route name `" + entry.name + "`");
+    }
+
+    if (names[entry.name] || router.route(entry.name)) {
+      fail(where + ".name", "duplicate route name `" + entry.name + "`");
+    }
+
+    names[entry.name] = true;
+  }
+
+  if (entry.redirect !== undefined) {
+    var destination = entry.redirect;
+    if (typeof destination !== "string" ||
+      (destination[0] !== "/" && !names[destination] && !router.route(destination))) {
+      fail(where + ".redirect", "unknown route `" + destination + "`");
+    }
+
+    return;
+  }
+
+  if (entry.mount !== undefined) {
+    return;
+  }
+
+  if (!Array.isArray(entry.methods) || !entry.methods.length) {
+    fail(where + ".methods", "must be a non-empty array of methods");
+  }
+
+  entry.methods.forEach(function (method) {
+
+    if (typeof method !== "string" || methods.indexOf(method.toLowerCase()) < 0) {
+      fail(where + ".methods", "unknown method `" + method + "`");
+    }
+  });
+}
+
+/**
+ * Resolve the handler references `refs` from the `handlers` registry.
+ *
+ * @param {Object} handlers
+ * @param {String|Array} refs
+ * @param {String} where
+ * @return {Array} of handlers
+ * @api private
+ */
+
+function resolve(handlers, refs, where) {
+
+  if (refs === undefined || refs === null || (Array.isArray(refs) && !refs.length)) {
+    fail(where, "a handler is required");
+  }
+
+  return [].concat(refs).map(function (ref) {
+
+    var handler = handlers[ref];
+    if (handler === undefined && typeof ref === "string") {
+      handler = ref.split(".").reduce(function (value, key) {
+        return value && value[key];
+      }, handlers);
+    }
+
+    if (!handler) {
+      fail(where, "unknown handler `" + ref + "`");
+    }
+
+    if (typeof handler !== "function" && !handler.__isRouter &&
+      !(handler.use && Array.isArray(handler.middleware))) {
+      fail(where, "handler `" + ref + "` is not a function, router or application");
+    }
+
+    return handler;
+  });
+}
+
+/**
+ * Throw the error of the manifest at `where`.
+ *
+ * @param {String} where
+ * @param {String} message
+ * @api private
+ */
+
+function fail(where, message) {
+
+  throw new Error("manifest `" + where + "`: " + message);
+}
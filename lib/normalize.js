@@ -0,0 +1,195 @@
+"use strict";
+
+/**
+ * Dependencies
+ */
+
+var utils = require("./utils");
+
+/**
+ * Expose `normalize`.
+ */
+
+module.exports = normalize;
+
+/**
+ * Find the canonical form of the request `path` according to the
+ * `opts.normalize` policies of `router`, which may be a policy for all or
+ * an object with the policies of:
+ *
+ *   - `duplicateSlashes` repeated slashes, e.g. `/users//3`
+ *   - `trailingSlash` trailing slash mismatching the matched route
+ *   - `case` case mismatching the matched route, when `opts.caseSensitive`
+ *
+ * Policies are "redirect", "rewrite" or "ignore" (default). The canonical
+ * form is redirected to if any of the applied policies is "redirect", and
+ * rewritten to otherwise.
+ *
+ * @param {Router} router
+ * @param {String} path
+ * @param {String=} hostname
+ * @return {Object?} `path` and `redirect` if the path is not canonical
+ * @api private
+ */
+
+function normalize(router, path, hostname) {
+
+  var policies = router.opts.normalize;
+  if (typeof policies === "string") {
+    policies = {
+      "duplicateSlashes": policies,
+      "trailingSlash": policies,
+      "case": policies
+    };
+  }
+
+  var applied = [];
+  var canonical = path;
+  if (enabled(policies.duplicateSlashes) && /\/\/+/.test(canonical)) {
+    canonical = canonical.replace(/\/\/+/g, "/");
+    applied.push(policies.duplicateSlashes);
+  }
+
+  // Try the path with the other trailing slash as well.
+  var candidates = [canonical];
+  if (enabled(policies.trailingSlash) && canonical !== "/") {
+    candidates.push(/\/$/.test(canonical) ? canonical.slice(0, -1) : canonical + "/");
+  }
+
+  var found = null;
+  for (var i = -1, l = candidates.length; ++i < l && !found;) {
+    var route = findEndpoint(router.match(candidates[i], hostname));
+    if (route) {
+      found = {
+        "route": route,
+        "path": candidates[i]
+      };
+    }
+  }
+
+  // Then the path matching routes but their case.
+  if (!found && enabled(policies.case) && router.opts.caseSensitive) {
+    for (i = -1; ++i < l && !found;) {
+      found = matchCaseInsensitive(router, candidates[i], hostname);
+    }
+
+    if (found) {
+      applied.push(policies.case);
+    }
+  }
+
+  if (!found) {
+    return applied.length ? result(canonical, applied) : null;
+  }
+
+  // Non-strict routes match either path, so we follow the route.
+  canonical = found.path;
+  var slash = /\/$/.test(enabled(policies.trailingSlash) && found.route.compiled ? found.route.path : candidates[0]);
+  if (canonical !== "/" && slash !== /\/$/.test(canonical)) {
+    canonical = (slash ? canonical + "/" : canonical.slice(0, -1));
+  }
+
+  if (/\/$/.test(canonical) !== /\/$/.test(candidates[0])) {
+    applied.push(policies.trailingSlash);
+  }
+
+  return canonical !== path ? result(canonical, applied) : null;
+}
+
+/**
+ * Check if `policy` normalizes paths.
+ *
+ * @param {String} policy
+ * @return {Boolean}
+ * @api private
+ */
+
+function enabled(policy) {
+
+  return policy === "redirect" || policy === "rewrite";
+}
+
+/**
+ * Get the first route matched as endpoint, not as prefix.
+ *
+ * @param {Array?} matched
+ * @return {Route?}
+ * @api private
+ */
+
+function findEndpoint(matched) {
+
+  for (var i = -1, l = matched ? matched.length : 0; ++i < l;) {
+    if (!matched[i].route.asPrefix) {
+      return matched[i].route;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Match `path` against the routes of `router` case insensitively, and
+ * generate the path with the case of the matched route.
+ *
+ * @param {Router} router
+ * @param {String} path
+ * @param {String=} hostname
+ * @return {Object?} matched `route` and generated `path`
+ * @api private
+ */
+
+function matchCaseInsensitive(router, path, hostname) {
+
+  var routes = router.routes;
+  for (var i = -1, l = routes.length; ++i < l;) {
+    var route = routes[i];
+    if (route.asPrefix || !route.compiled) {
+      continue;
+    }
+
+    if (route.hostRegexp && !route.hostRegexp.test(hostname || "")) {
+      continue;
+    }
+
+    var matches = new RegExp(route.regexp.source, "i").exec(path);
+    if (!matches) {
+      continue;
+    }
+
+    var params = {};
+    route.params.forEach(function (key, i) {
+
+      params[key.name] = matches[i + 1] && utils.safeDecodeURIComponent(matches[i + 1]);
+    });
+
+    // Params matched in another case may not fit their pattern anymore.
+    try {
+      return {
+        "route": route,
+        "path": route.toPath(params)
+      };
+    } catch (err) {
+      continue;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create the result of normalization.
+ *
+ * @param {String} path canonical path
+ * @param {Array} applied policies
+ * @return {Object}
+ * @api private
+ */
+
+function result(path, applied) {
+
+  return {
+    "path": path,
+    "redirect": applied.indexOf("redirect") >= 0
+  };
+}
@@ -0,0 +1,253 @@
+"use strict";
+
+/**
+ * Dependencies
+ */
+
+var pathToRegexp = require("path-to-regexp");
+
+/**
+ * Expose `openapi`.
+ */
+
+module.exports = openapi;
+
+/**
+ * HTTP verbs which can be described by an OpenAPI path item.
+ */
+
+var OPERATIONS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+
+/**
+ * Generate an OpenAPI 3 document describing the routes of `router`,
+ * including the routes of mounted routers.
+ *
+ * Operations are described by the `openapi` route option, which may have
+ * any property of an OpenAPI operation object, such as `summary`, `tags`,
+ * `parameters`, `requestBody` and `responses`. Path parameters are generated
+ * from the path templates, with the schemas of their types or patterns, and
+ * the `validate` schemas of the route describe the parameters and the JSON
+ * request body. Paths with optional params are described with and without
+ * them. Prefix mounts and RegExp routes are left out.
+ *
+ * @param {Router} router
+ * @param {Object=} opts Optional. `info` and `servers` of the document.
+ * @return {Object}
+ * @api private
+ */
+
+function openapi(router, opts) {
+
+  opts = opts || {};
+
+  var doc = {
+    "openapi": "3.0.3",
+    "info": opts.info || {
+      "title": "API",
+      "version": "1.0.0"
+    },
+    "paths": {}
+  };
+
+  if (opts.servers) {
+    doc.servers = opts.servers;
+  }
+
+  router.stack().forEach(function (entry) {
+
+    if (entry.prefix || entry.regexp) {
+      return;
+    }
+
+    // Paths with optional params are described with and without them.
+    variants(pathToRegexp.parse(entry.path)).forEach(function (tokens, i) {
+
+      var path = toTemplate(tokens);
+      var item = doc.paths[path] || (doc.paths[path] = {});
+
+      entry.methods.forEach(function (method) {
+
+        method = method.toLowerCase();
+        if (OPERATIONS.indexOf(method) < 0 || item[method]) {
+          return;
+        }
+
+        item[method] = operation(entry, tokens, i === 0);
+      });
+    });
+  });
+
+  return doc;
+}
+
+/**
+ * Create the OpenAPI operation object of the stack `entry`. Operation ids
+ * are unique, so only the `primary` variant of the path has one.
+ *
+ * @param {Object} entry
+ * @param {Array} tokens of the variant of the entry path
+ * @param {Boolean} primary
+ * @return {Object}
+ * @api private
+ */
+
+function operation(entry, tokens, primary) {
+
+  var meta = entry.openapi || {};
+  var op = {};
+  for (var key in meta) {
+    op[key] = meta[key];
+  }
+
+  if (!op.operationId && entry.name) {
+    op.operationId = entry.name;
+  }
+
+  if (!primary) {
+    delete op.operationId;
+  }
+
+  // Parameters given in metadata take precedence over the generated ones.
+  var validate = entry.validate || {};
+  var parameters = (meta.parameters || []).slice();
+  function addParameter(name, location, required, schema) {
+
+    var exists = parameters.some(function (param) {
+      return param.in === location && param.name === name;
+    });
+
+    if (!exists) {
+      parameters.push({
+        "name": name,
+        "in": location,
+        "required": required,
+        "schema": schema || {
+          "type": "string"
+        }
+      });
+    }
+  }
+
+  tokens.forEach(function (token) {
+
+    if (typeof token !== "string") {
+      var name = String(token.name);
+      addParameter(name, "path", true, property(validate.params, name) ||
+        (entry.schemas && entry.schemas[name]) || patternSchema(token));
+    }
+  });
+
+  [["query", "query"], ["headers", "header"]].forEach(function (pair) {
+
+    var schema = validate[pair[0]];
+    Object.keys(schema && schema.properties || {}).forEach(function (name) {
+
+      var required = (schema.required || []).indexOf(name) >= 0;
+      addParameter(name, pair[1], required, property(schema, name));
+    });
+  });
+
+  if (validate.body && !op.requestBody) {
+    op.requestBody = {
+      "required": true,
+      "content": {
+        "application/json": {
+          "schema": validate.body
+        }
+      }
+    };
+  }
+
+  if (parameters.length) {
+    op.parameters = parameters;
+  }
+
+  op.responses = meta.responses || {
+    "default": {
+      "description": "Default response"
+    }
+  };
+
+  return op;
+}
+
+/**
+ * Get the schema of property `name` in object `schema`.
+ *
+ * @param {Object?} schema
+ * @param {String} name
+ * @return {Object?}
+ * @api private
+ */
+
+function property(schema, name) {
+
+  return schema && schema.properties && schema.properties[name];
+}
+
+/**
+ * Get the schema of the values of the path param `token` with a custom
+ * pattern, e.g. `:name([a-z]+)`.
+ *
+ * @param {Object} token
+ * @return {Object?}
+ * @api private
+ */
+
+function patternSchema(token) {
+
+  if (token.repeat || token.pattern === "[^\\/]+?") {
+    return null;
+  }
+
+  return {
+    "type": "string",
+    "pattern": "^(?:" + token.pattern + ")$"
+  };
+}
+
+/**
+ * Get the variants of the path `tokens` with and without each optional
+ * param, the one with all params first.
+ *
+ * @param {Array} tokens
+ * @return {Array} of tokens
+ * @api private
+ */
+
+function variants(tokens) {
+
+  return tokens.reduce(function (paths, token) {
+
+    var withToken = paths.map(function (path) {
+      return path.concat([token]);
+    });
+
+    if (typeof token === "string" || !token.optional) {
+      return withToken;
+    }
+
+    return withToken.concat(paths);
+  }, [[]]);
+}
+
+/**
+ * Convert path-to-regexp `tokens` to an OpenAPI path template,
+ * e.g. `/users/:id` to `/users/{id}`.
+ *
+ * @param {Array} tokens
+ * @return {String}
+ * @api private
+ */
+
+function toTemplate(tokens) {
+
+  return tokens.map(function (token) {
+
+    if (typeof token === "string") {
+      return token;
+    }
+
+    return token.prefix + "{" + token.name + "}";
+  }).join("") || "/";
+}
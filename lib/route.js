@@ -6,7 +6,12 @@
 
 var compose = require("koa-compose");
 var debug = require("debuglog")("siren/router");
+var methods = require("methods");
 var pathToRegexp = require("path-to-regexp");
+var semver = require("semver");
+var types = require("./types");
+var utils = require("./utils");
+var validate = require("./validate");
 
 /**
  * Expose `Route`.
@@ -21,7 +26,11 @@ module.exports = Route;
  * @param {Array} methods Array of HTTP verbs.
  * @param {Array} middleware Route callback/middleware or series of.
  * @param {String} name Optional.
- * @param {Object=} opts Optional. Passed to `path-to-regexp`.
+ * @param {Object=} opts Optional. Passed to `path-to-regexp`, `opts.host` is
+ * the host pattern to match, `opts.prefix` is prepended to the path,
+ * `opts.types` are param types besides the registered ones,
+ * `opts.validate` holds the schemas to validate requests with and
+ * `opts.meta` is the metadata of the route, available as `ctx.meta`.
  * @return {Route}
  * @api private
  */
@@ -42,54 +51,46 @@ function Route(path, methods, middleware, name, opts) {
   }
 
   this.params = [];
+  this.routers = [];
+  this.stacks = null;
   this.fns = {
+    "validate": null,
     "params": {},
     "middleware": []
   };
 
   this.opts = opts || {};
-  if (path instanceof RegExp) {
-    this.path = path.source;
-    this.regexp = path;
-  } else {
-    this.path = path;
-    this.regexp = pathToRegexp(path, this.params, {
-      "sensitive": this.opts.caseSensitive,
-      "strict": this.asPrefix || this.opts.strict,
-      "end": this.asPrefix ? false : true
+  this.meta = this.opts.meta || {};
+  this.pattern = path;
+  this.compile();
+
+  if (this.opts.version && !semver.validRange(this.opts.version)) {
+    throw new Error("Invalid version `" + this.opts.version + "` of route `" + (this.name || path) + "`");
+  }
+
+  // Host patterns use "." as delimiter, e.g. ":tenant.example.com".
+  this.hostParams = [];
+  this.hostRegexp = null;
+  this.hostCompiled = null;
+  if (this.opts.host) {
+    this.hostRegexp = pathToRegexp(this.opts.host, this.hostParams, {
+      "delimiter": ".",
+      "strict": true
+    });
+    this.hostCompiled = pathToRegexp.compile(this.opts.host, {
+      "delimiter": "."
     });
   }
 
   // ensure the middleware is function.
-  middleware = flatten(middleware).map(function (fn, i) {
-
-    // koa application.
-    if (fn.use && Array.isArray(fn.middleware)) {
-      fn = compose(fn.middleware);
-
-    // Router
-    } else if (fn.__isRouter) {
-      fn = fn.middleware();
-    }
+  middleware = toMiddleware(this, methods, middleware);
 
-    var type = typeof fn;
-    if (type !== "function") {
-      throw new Error(
-        methods.toString() + " `" + (name || path) + "`: `middleware` " +
-        "must be a function, router or application, not `" + type + "`"
-      );
-    }
-
-    return fn;
-  });
-
-  if (middleware.length > 1) {
-    this.middleware = compose(middleware);
-  } else {
-    this.middleware = middleware[0];
+  if (this.opts.validate) {
+    this.fns.validate = validate(this.opts.validate);
   }
 
   this.fns.middleware = middleware;
+  this.compose();
 
   debug("defined route %s %s", this.methods, this.path);
 };
@@ -101,35 +102,132 @@ function Route(path, methods, middleware, name, opts) {
 var route = Route.prototype;
 
 /**
- * Check if given request `path` matches route,
+ * Compile the path of route, which is the `opts.prefix` followed by the
+ * path the route was created with. RegExp paths are not prefixed. The
+ * `expandedPath` has the patterns of the typed params.
+ *
+ * @return {Route}
+ * @api private
+ */
+
+route.compile = function compile() {
+
+  var path = this.pattern;
+  this.params = [];
+  this.types = {};
+  if (path instanceof RegExp) {
+    this.path = path.source;
+    this.expandedPath = null;
+    this.regexp = path;
+    this.compiled = null;
+    return this;
+  }
+
+  // Typed params, e.g. `:id<int>`, are matched with the pattern of their type,
+  // while the path keeps the template, e.g. `:id`.
+  path = utils.joinPath(this.opts.prefix, path);
+  this.path = path.replace(/:(\w+)<(\w+)>/g, ":$1");
+  this.expandedPath = path.replace(/:(\w+)<(\w+)>/g, function (param, name, type) {
+
+    var definition = (this.opts.types && this.opts.types[type]) || types[type];
+    if (!definition) {
+      throw new Error("Unknown type `" + type + "` of param `" + name + "` in route `" + (this.name || this.pattern) + "`");
+    }
+
+    this.types[name] = {
+      "parse": definition.parse || String,
+      "format": definition.format || String,
+      "schema": definition.schema || {
+        "type": "string",
+        "pattern": "^(?:" + definition.pattern + ")$"
+      }
+    };
+
+    return ":" + name + "(" + definition.pattern + ")";
+  }.bind(this));
+
+  this.regexp = pathToRegexp(this.expandedPath, this.params, {
+    "sensitive": this.opts.caseSensitive,
+    "strict": this.asPrefix || this.opts.strict,
+    "end": this.asPrefix ? false : true
+  });
+  this.compiled = pathToRegexp.compile(this.expandedPath, {
+    "sensitive": this.opts.caseSensitive
+  });
+
+  return this;
+};
+
+/**
+ * Prepend `prefix` to the path of route, replacing the previous one.
+ *
+ * @param {String} prefix
+ * @return {Route}
+ * @api private
+ */
+
+route.setPrefix = function setPrefix(prefix) {
+
+  this.opts.prefix = prefix;
+  return this.compile().compose();
+};
+
+/**
+ * Check if given request `path` and `hostname` match route,
  * and if so populate `route.params`.
  *
  * @param {String} path
+ * @param {String=} hostname Optional. Checked when route has a host pattern.
  * @return {Array} of matched params or null if not matched
  * @api private
  */
 
-route.match = function match(path) {
+route.match = function match(path, hostname) {
+
+  var hostMatches = null;
+  if (this.hostRegexp) {
+    hostMatches = this.hostRegexp.exec(hostname || "");
+    if (!hostMatches) {
+      return null;
+    }
+  }
 
   var matches = path.match(this.regexp);
   if (matches) {
     var captures = matches.length ? matches.slice(1) : [];
     var params = [];
 
+    // Host params come first, so path params win on conflicts.
+    for (var j = -1, m = this.hostParams.length; ++j < m;) {
+      params[this.hostParams[j].name] = hostMatches[j + 1];
+    }
+
     // If route has parameterized capture groups,
     // use parameter names for properties.
     if (this.params.length) {
       for (var i = -1, l = captures.length; ++i < l;) {
         if (this.params[i]) {
+          var key = this.params[i];
           var c = captures[i];
-          params[this.params[i].name] = c ? safeDecodeURIComponent(c) : c;
+          c = c ? utils.safeDecodeURIComponent(c) : c;
+
+          // Values the type can't convert don't match.
+          if (c && this.types[key.name]) {
+            try {
+              c = convert(this.types[key.name].parse, key, c);
+            } catch (err) {
+              return null;
+            }
+          }
+
+          params[key.name] = c;
         }
       }
 
     } else {
       for (var i = -1, l = captures.length; ++i < l;) {
         var c = captures[i];
-        params[i] = c ? safeDecodeURIComponent(c) : c;
+        params[i] = c ? utils.safeDecodeURIComponent(c) : c;
       }
     }
 
@@ -150,46 +248,120 @@ route.match = function match(path) {
 /**
  * Generate URL for route using given `params`.
  *
+ * Params are checked against the patterns of the path, and named params
+ * which are not in the path are added as query string. The URL is absolute
+ * when `options.origin` or the route `opts.origin` is set, or when the route
+ * has a host pattern, in which case the host is generated with `params` and
+ * `opts.protocol`.
+ *
  * @example
  *
- *   var route = new Route(['GET'], '/users/:id', fn);
+ *   var route = new Route('/users/:id', ['GET'], fn);
+ *
+ *   route.url({ id: 123, tab: 'posts' });
+ *   // => "/users/123?tab=posts"
  *
- *   route.url({ id: 123 });
- *   // => "/users/123"
+ *   route.url(123, { origin: 'https://example.com' });
+ *   // => "https://example.com/users/123"
  *
- * @param {Object} params url parameters
+ * @param {Object} params url parameters, or the positional ones.
+ * @param {Object=} options Optional. `origin` of absolute URL.
  * @return {String}
  * @api private
  */
 
-route.url = function url(params) {
+route.url = function url(params, options) {
 
-  var args = params;
-  var url = this.path;
+  // Support the positional form.
+  if (typeof params !== "object" || params === null) {
+    var args = Array.prototype.slice.call(arguments);
+    options = typeof args[args.length - 1] === "object" ? args.pop() : null;
+    params = args;
+  }
 
-  // Support the (key, value) object form.
-  if (typeof params !== "object") {
-    args = Array.prototype.slice.call(arguments);
+  options = options || {};
+  return utils.formatUrl(this.toPath(params), params, this.params.concat(this.hostParams),
+    options.origin !== undefined ? options.origin : this.toOrigin(params));
+};
+
+/**
+ * Get the origin of URLs of route: generated from the host pattern with
+ * named `params`, if any, or `opts.origin`.
+ *
+ * @param {Object|Array} params
+ * @return {String?}
+ * @api private
+ */
+
+route.toOrigin = function toOrigin(params) {
+
+  if (!this.hostCompiled) {
+    return this.opts.origin;
   }
 
-  if (Array.isArray(args)) {
-    for (var i = -1, l = args.length; ++i < l;) {
-      url = url.replace(/:[^\/]+/, args[i]);
-    }
+  var host;
+  try {
+    host = this.hostCompiled(Array.isArray(params) ? {} : params);
+  } catch (err) {
+    throw new TypeError("Cannot generate host for route `" + (this.name || this.path) + "`: " + err.message);
+  }
+
+  return (this.opts.protocol ? this.opts.protocol + ":" : "") + "//" + host;
+};
+
+/**
+ * Generate the path of route using given named or positional `params`.
+ *
+ * @param {Object|Array} params
+ * @return {String}
+ * @api private
+ */
+
+route.toPath = function toPath(params) {
+
+  var name = this.name || this.path;
+  if (!this.compiled) {
+    throw new Error("Cannot generate URL for RegExp route `" + name + "`");
+  }
+
+  var data = {};
+  if (Array.isArray(params)) {
+    this.params.forEach(function (key, i) {
+      data[key.name] = params[i];
+    });
 
   } else {
-    for (var key in args) {
-      url = url.replace(":" + key, args[key]);
+    for (var key in params) {
+      data[key] = params[key];
     }
   }
 
-  return url.split("/").map(function (component) {
-    return encodeURIComponent(component);
-  }).join("/");
+  // Repeated params may be given as a path, e.g. `a/b` for `:path*`.
+  this.params.forEach(function (key) {
+
+    if (key.repeat && typeof data[key.name] === "string") {
+      data[key.name] = data[key.name].split(key.delimiter);
+    }
+
+    var type = this.types[key.name];
+    if (type && data[key.name] != null) {
+      data[key.name] = [].concat(data[key.name]).map(type.format);
+      if (!key.repeat) {
+        data[key.name] = data[key.name][0];
+      }
+    }
+  }, this);
+
+  try {
+    return this.compiled(data);
+  } catch (err) {
+    throw new TypeError("Cannot generate URL for route `" + name + "`: " + err.message);
+  }
 };
 
 /**
- * Run validations on route named parameters.
+ * Run validations on route named parameters, in order of URL appearance.
+ * Each validation runs once per request and value of the param.
  *
  * @example
  *
@@ -204,18 +376,141 @@ route.url = function url(params) {
  *      });
  *
  * @param {String} param
- * @param {Function *(id, next)} fn
+ * @param {Function *(id, next)} fn or `function (id, ctx, next)` returning
+ * a promise
  * @api public
  */
 
 route.param = function param(param, fn) {
 
-  this.fns.params[param] = function *(next) {
+  this.fns.params[param] = Route.paramMiddleware(param, fn);
+  return this.compose();
+};
+
+/**
+ * Create the middleware running `fn` with the value of `param`, unless it
+ * has already run with this value for the request, e.g. for another route
+ * or router matching the same param.
+ *
+ * @param {String} param
+ * @param {Function *(id, next)} fn
+ * @return {Function}
+ * @api private
+ */
+
+Route.paramMiddleware = function paramMiddleware(param, fn) {
+
+  return function *(next) {
 
-    yield *fn.call(this, this.params[param], next);
+    var value = this.params[param];
+    var resolved = this._resolvedParams || (this._resolvedParams = []);
+    for (var i = -1, l = resolved.length; ++i < l;) {
+      if (resolved[i].fn === fn && resolved[i].param === param && resolved[i].value === value) {
+        return yield *next;
+      }
+    }
+
+    resolved.push({
+      "fn": fn,
+      "param": param,
+      "value": value
+    });
+
+    // Promise middleware take the context as argument, e.g. `async (id, ctx, next)`.
+    if (utils.isGeneratorFunction(fn)) {
+      yield *fn.call(this, value, next);
+    } else {
+      yield Promise.resolve(fn.call(this, value, this, utils.nextPromise(this, next)));
+    }
   };
+};
+
+/**
+ * Handle requests of `method` with `middleware`. Routes built this way have
+ * a middleware stack per method, sharing the path and parameter middleware.
+ *
+ * @example
+ *
+ *   router.route('/users/:id')
+ *     .get(function *(next) { ... })
+ *     .put(function *(next) { ... });
+ *
+ * @param {String} method
+ * @param {Array} middleware
+ * @return {Route}
+ * @api private
+ */
+
+route.handle = function handle(method, middleware) {
+
+  method = method.toUpperCase();
+  middleware = toMiddleware(this, [method], middleware);
+
+  if (!this.stacks) {
+    var stacks = this.stacks = {};
+    this.fns.middleware = [function *dispatch(next) {
+
+      // HEAD requests are handled by GET middleware unless specified.
+      var stack = stacks[this.method] || stacks.GET;
+      yield *stack.call(this, next);
+    }];
+  }
+
+  this.stacks[method] = middleware.length > 1 ? compose(middleware) : middleware[0];
+  if (this.methods.indexOf(method) < 0) {
+    this.methods.push(method);
+  }
+
+  return this.compose();
+};
+
+/**
+ * Create `route.verb()` methods, where *verb* is one of the HTTP verbs such
+ * as `route.get()` or `route.post()`.
+ */
+
+methods.forEach(function (method) {
+
+  route[method] = function () {
+
+    return this.handle(method, Array.prototype.slice.call(arguments));
+  };
+});
+
+/**
+ * Handle requests of all methods with given middleware.
+ *
+ * @return {Route}
+ * @api public
+ */
+
+route.all = function all() {
+
+  var middleware = Array.prototype.slice.call(arguments);
+  methods.forEach(function (method) {
+
+    this.handle(method, middleware);
+  }, this);
+
+  return this;
+};
+
+/**
+ * Compose the route middleware: the request validation first, then the
+ * parameter middleware in order of URL appearance, then the middleware
+ * the route was created with.
+ *
+ * @return {Route}
+ * @api private
+ */
+
+route.compose = function () {
 
   var middleware = [];
+  if (this.fns.validate) {
+    middleware.push(this.fns.validate);
+  }
+
   this.params.forEach(function (param) {
     var fn = this.fns.params[param.name];
     if (fn) {
@@ -223,47 +518,78 @@ route.param = function param(param, fn) {
     }
   }, this);
 
-  this.middleware = compose(middleware.concat(this.fns.middleware));
+  middleware = middleware.concat(this.fns.middleware);
+  if (middleware.length > 1) {
+    this.middleware = compose(middleware);
+  } else {
+    this.middleware = middleware[0];
+  }
+
   return this;
 };
 
 /**
- * Safe decodeURIComponent, won't throw any error.
- * If `decodeURIComponent` error happen, just return the original value.
+ * Ensure the `middleware` of `route` are generator functions, composing
+ * applications and routers which are kept in `route.routers`, and
+ * converting promise middleware.
  *
- * @param {String} text
- * @return {String} URL decode original string.
+ * @param {Route} route
+ * @param {Array} methods
+ * @param {Array} middleware
+ * @return {Array}
+ * @api private
  */
 
-function safeDecodeURIComponent(text) {
+function toMiddleware(route, methods, middleware) {
 
-  try {
-    return decodeURIComponent(text);
-  } catch (e) {
-    return text;
-  }
+  return utils.flatten(middleware).map(function (fn) {
+
+    // koa application.
+    if (fn.use && Array.isArray(fn.middleware)) {
+
+      // Keep the router extending the application for introspection.
+      if (fn.router && fn.router.__isRouter) {
+        route.routers.push(fn.router);
+      }
+
+      fn = compose(fn.middleware.map(utils.toGenerator));
+
+    // Router
+    } else if (fn.__isRouter) {
+      route.routers.push(fn);
+      fn = fn.middleware();
+    }
+
+    var type = typeof fn;
+    if (type !== "function") {
+      throw new Error(
+        methods.toString() + " `" + (route.name || route.pattern) + "`: `middleware` " +
+        "must be a function, router or application, not `" + type + "`"
+      );
+    }
+
+    return utils.toGenerator(fn);
+  });
 }
 
 /**
- * Flatten the array.
+ * Convert the matched `value` of param `key` with `parse`, each segment of
+ * repeated params.
  *
- * @param {Array} a
- * @param {Array?} ret
- * @return {Array} ret
+ * @param {Function} parse
+ * @param {Object} key
+ * @param {String} value
+ * @return {*}
+ * @api private
  */
 
-function flatten(a, ret) {
+function convert(parse, key, value) {
 
-    ret = ret || [];
-    var e;
-    for (var i = -1, l = a.length; ++i < l;) {
-      e = a[i];
-      if (Array.isArray(e)) {
-        ret = ret.concat(flatten(e));
-      } else if (e !== undefined && e !== null) {
-        ret.push(e);
-      }
-    }
+  if (!key.repeat) {
+    return parse(value);
+  }
 
-  return ret;
+  return value.split(key.delimiter).map(function (segment) {
+    return parse(segment);
+  });
 }
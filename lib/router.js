@@ -4,10 +4,21 @@
  * Dependencies
  */
 
+var co = require("co");
+var compose = require("koa-compose");
+var cors = require("./cors");
 var debug = require("debuglog")("siren/router");
+var directory = require("./directory");
+var manifest = require("./manifest");
 var methods = require("methods");
+var normalize = require("./normalize");
+var openapi = require("./openapi");
+var semver = require("semver");
 var statuses = require("statuses");
 var Route = require("./route");
+var Tree = require("./tree");
+var types = require("./types");
+var utils = require("./utils");
 
 /**
  * Expose `Router`
@@ -15,12 +26,29 @@ var Route = require("./route");
 
 module.exports = Router;
 
+/**
+ * Actions of resources, registered in this order so that "new" is not
+ * taken for an id.
+ */
+
+var resourceActions = [
+  { "name": "index", "methods": ["GET"], "path": "/" },
+  { "name": "new", "methods": ["GET"], "path": "/new" },
+  { "name": "create", "methods": ["POST"], "path": "/" },
+  { "name": "show", "methods": ["GET"], "path": "/:id" },
+  { "name": "edit", "methods": ["GET"], "path": "/:id/edit" },
+  { "name": "update", "methods": ["PUT", "PATCH"], "path": "/:id" },
+  { "name": "destroy", "methods": ["DELETE"], "path": "/:id" }
+];
+
 /**
  * Initialize Router.
  *
  * @param {Application=} app Optional. Extends app with methods such
  * as `app.get()`, `app.post()`, etc.
- * @param {Object=} opts Optional. Passed to `path-to-regexp`.
+ * @param {Object=} opts Optional. Passed to `path-to-regexp`, `opts.name`
+ * names the router in `router.stack()`, `opts.normalize` sets the policies
+ * for non-canonical paths.
  * @return {Router}
  * @api public
  */
@@ -38,15 +66,79 @@ function Router(app, opts) {
   }
 
   this.opts = opts || {};
+  this.name = this.opts.name || null;
   this.methods = ["OPTIONS"];
   this.routes = [];
   this.params = {};
+  this.resources = {};
+  this.fns = [];
+  this.tree = null;
+  this.notFoundHandler = null;
+  this.errorHandler = null;
+  this.dir = null;
+  this.dirRoutes = [];
+  this.signature = null;
 
   if (app) {
     this.extendApp(app);
   }
 }
 
+/**
+ * Register param type `name` for the routes of all routers, e.g. `:id<name>`.
+ *
+ * @example
+ *
+ *   Router.type('date', {
+ *     pattern: '\\d{4}-\\d{2}-\\d{2}',
+ *     parse: function (value) { return new Date(value); },
+ *     format: function (date) { return date.toISOString().slice(0, 10); }
+ *   });
+ *
+ * @param {String} name
+ * @param {Object} type `pattern` of values, `parse` converter and `format`
+ * formatter, both `String` by default, and the OpenAPI `schema` of values
+ * (default: the string schema of the pattern)
+ * @return {Function} Router
+ * @api public
+ */
+
+Router.type = function type(name, type) {
+
+  if (typeof type.pattern !== "string") {
+    throw new TypeError("type `" + name + "`: `pattern` must be a string");
+  }
+
+  types[name] = type;
+
+  return Router;
+};
+
+/**
+ * Create a router with the routes of the files in `dir`, e.g. the file
+ * `users/[id].js` exporting `get` routes `GET /users/:id`. Directories are
+ * mounted as child routers.
+ *
+ * With `opts.rescan`, the directory is scanned again, synchronously, on
+ * requests, and the routes are loaded again whenever files have changed,
+ * which is meant for development.
+ *
+ * @param {String} dir
+ * @param {Object=} opts Optional. Router options, `opts.extensions` are the
+ * extensions of the loaded files (default: [".js"]).
+ * @return {Router}
+ * @api public
+ */
+
+Router.fromDirectory = function fromDirectory(dir, opts) {
+
+  var router = new Router(opts);
+  router.dir = dir;
+  router.rescan();
+
+  return router;
+};
+
 /**
  * Router prototype
  */
@@ -60,7 +152,11 @@ router.__isRouter = true;
 
 /**
  * Router middleware factory. Returns router middleware which dispatches route
- * middleware corresponding to the request.
+ * middleware corresponding to the request, as generator middleware of Koa 1.
+ *
+ * Route middleware runs with `ctx.route`, the current route, `ctx.routePath`,
+ * its full path through the mounting routes, and `ctx.matchedRoutes`, the
+ * chain of routes being run, which are restored when leaving the route.
  *
  * @param {Function} next
  * @return {Function}
@@ -75,50 +171,103 @@ router.middleware = function () {
     var pathname = this.path;
     debug("routing %s %s", this.method, pathname);
 
-    // Find routes matching requested path.
-    var routes = router.match(pathname);
-    if (!routes) {
-      return yield *done;
+    if (router.opts.rescan) {
+      router.rescan();
+    }
+
+    // Redirect or rewrite to the canonical path if required.
+    var canonical = router.opts.normalize ? normalize(router, pathname, this.hostname) : null;
+    if (canonical) {
+      if (canonical.redirect) {
+        return redirectCanonical(router, this, canonical.path);
+      }
+
+      debug("rewriting %s to %s", pathname, canonical.path);
+      pathname = this.path = canonical.path;
     }
 
+    // Find routes matching requested path and host.
+    var routes = router.match(pathname, this.hostname);
+
     var methodsAvailable = {};
     var context = this;
     var method = this.method;
     var params = this.params;
+    var meta = this.meta;
+    var currentRoute = this.route;
+    var routePath = this.routePath;
+    var matchedRoutes = this.matchedRoutes;
     var index = -1;
     var called = false;
+    var rejected = 0;
+    var corsOptions = null;
+    var passed = null;
+
+    // Versioned routes are only called if they are the newest one
+    // compatible with the requested version.
+    var version = requestedVersion(this);
+    var versioned = routes && selectVersion(routes, method, version);
+
+    // The parameter middleware of params captured by parent routers, and the
+    // router middleware, run before the first route called.
+    var middleware = inheritedParams(router, params).concat(router.fns);
 
     function *next() {
 
       // Save the previous context.
       var prevParams = context.params;
       var prevPathname = context.path;
+      var prevMeta = context.meta;
+      var prevRoute = context.route;
+      var prevRoutePath = context.routePath;
+      var prevMatchedRoutes = context.matchedRoutes;
 
       if (++index >= routes.length) {
         context.path = pathname;
         context.params = params;
-
-        yield *done;
+        context.meta = meta;
+        context.route = currentRoute;
+        context.routePath = routePath;
+        context.matchedRoutes = matchedRoutes;
+
+        // Prefix mounts alone don't make the path found.
+        var found = routes.some(function (matched) {
+          return !matched.route.asPrefix;
+        });
+
+        if (found) {
+          yield *pass();
+        } else {
+          yield *handleNotFound(router, context, pass());
+        }
 
         // We only set the status when no actual middleware has handled it.
         if (!called && !context.response._explicitStatus) {
-
-          // If we set the status using `ctx.status`, it will make the `ctx.response._explicitStatus` true,
-          // which means if we writes `ctx.body` in upstream, it will not auto modify the `ctx.status`.
-          // So here we just write the status in the `ctx.res.statusCode` directly.
-          context.res.statusCode = (context.method === "OPTIONS" ? 204 : 405);
-          context.set("Allow", Object.keys(methodsAvailable).join(", ")); 
-
-          if (!~router.methods.indexOf(context.method)) {
-            context.res.statusCode = 501;
+          var allowed = Object.keys(methodsAvailable);
+          var statusCode = rejected;
+          if (!statusCode) {
+            statusCode = (context.method === "OPTIONS" ? 204 : 405);
+            if (!implemented(router, context.method)) {
+              statusCode = 501;
+            }
+
+            // Answer CORS preflight requests with the same methods.
+            corsOptions = corsOptions || router.opts.cors;
+            if (statusCode === 204 && corsOptions) {
+              cors(context, corsOptions, allowed);
+            }
           }
 
-          context.res.statusMessage = statuses[context.res.statusCode];
+          yield *respond(router, context, statusCode, allowed, version);
         }
 
         // Restore the context.
         context.params = prevParams;
         context.path = prevPathname;
+        context.meta = prevMeta;
+        context.route = prevRoute;
+        context.routePath = prevRoutePath;
+        context.matchedRoutes = prevMatchedRoutes;
         return;
       }
 
@@ -126,12 +275,14 @@ router.middleware = function () {
       var route = routes[index].route;
       var shouldCallMiddleware = route.methods.indexOf(method) >= 0 || route.asPrefix;
 
-      // If there is no middleware to handle the OPTIONS request,
+      // If there is no middleware to handle the request method,
       // we record the available methods for setting allow header later if neccessary.
-      if (!shouldCallMiddleware && method === "OPTIONS") {
+      if (!shouldCallMiddleware) {
         for (var i = -1, l = route.methods.length; ++i < l;) {
           methodsAvailable[route.methods[i]] = true;
         }
+
+        corsOptions = corsOptions || route.opts.cors;
       }
 
       // If the method matched, or not matched but it is a HEAD request and the route
@@ -139,6 +290,40 @@ router.middleware = function () {
       if (shouldCallMiddleware || 
         (method === "HEAD" && route.methods.indexOf("GET") >= 0)) {
 
+        // Unless the route has another version than the requested one, or it cannot consume
+        // the request body or produce an acceptable response, then we remember to respond
+        // 400, 415 or 406 if no other route matches.
+        var status = route.opts.version && route !== versioned ? 400 : negotiate(context, route);
+        if (status) {
+          rejected = Math.max(rejected, status);
+          return yield *next();
+        }
+
+        // Run the router middleware, which then calls this route, with the
+        // metadata of the route, e.g. for authorization.
+        if (!called && middleware.length) {
+          called = true;
+          index--;
+          enter(route, (prevMatchedRoutes || []).concat(route));
+          yield *compose(middleware).call(context, next());
+
+          // Restore the context.
+          context.meta = prevMeta;
+          context.route = prevRoute;
+          context.routePath = prevRoutePath;
+          context.matchedRoutes = prevMatchedRoutes;
+          return;
+        }
+
+        // Report the version of the route, the lowest one of its range.
+        if (route.opts.version) {
+          context.set("X-Api-Version", semver.minVersion(route.opts.version).version);
+        }
+
+        if (route.opts.cors) {
+          cors(context, route.opts.cors);
+        }
+
         called = true;
 
         // Replace the context with the route context.
@@ -146,12 +331,26 @@ router.middleware = function () {
         context.params = router.opts.mergeParams ? 
           mergeParams(params, routes[index].params) :
           routes[index].params;
-
-        yield *route.middleware.call(context, next());
+        // The router middleware may have entered the route already.
+        enter(route, prevRoute === route ? prevMatchedRoutes : (prevMatchedRoutes || []).concat(route));
+
+        // Remember the innermost route an error is thrown from, including the
+        // routes of mounted routers.
+        var routeParams = context.params;
+        try {
+          yield *route.middleware.call(context, next());
+        } catch (err) {
+          recordFailure(context, err, route, routeParams);
+          throw err;
+        }
 
         // Restore the context.
         context.params = prevParams;
         context.path = prevPathname;
+        context.meta = prevMeta;
+        context.route = prevRoute;
+        context.routePath = prevRoutePath;
+        context.matchedRoutes = prevMatchedRoutes;
         return;
       }
 
@@ -159,8 +358,79 @@ router.middleware = function () {
       yield *next();
     }
 
-    // Start to find the matched middleware.
-    yield *next();
+    // Expose the metadata and the chain of routes of `route`.
+    function enter(route, chain) {
+
+      context.meta = inheritMeta(meta, route.meta);
+      context.route = route;
+      context.routePath = utils.joinPath(routePath, route.path);
+      context.matchedRoutes = chain;
+    }
+
+    // Pass the request downstream, whose errors are not ours to handle.
+    function *pass() {
+
+      try {
+        yield *done;
+      } catch (err) {
+        passed = err;
+        throw err;
+      }
+    }
+
+    // Start to find the matched middleware, or handle the request no route matches.
+    try {
+      if (routes) {
+        yield *next();
+      } else {
+        yield *handleNotFound(router, this, pass());
+      }
+    } catch (err) {
+
+      // Restore the context.
+      this.path = pathname;
+      this.params = params;
+      this.meta = meta;
+      this.route = currentRoute;
+      this.routePath = routePath;
+      this.matchedRoutes = matchedRoutes;
+
+      if (!router.errorHandler || err === passed) {
+        throw err;
+      }
+
+      var failure = this._routeFailure;
+      yield *handleError(router, this, err, {
+        "route": failure && failure.error === err ? failure.route : null,
+        "path": pathname,
+        "params": failure && failure.error === err ? failure.params : params
+      });
+    }
+  };
+};
+
+/**
+ * Router middleware factory for Koa 2. Returns router middleware taking
+ * `(ctx, next)` and returning a promise, which dispatches route middleware
+ * the same way as `router.middleware()`.
+ *
+ * @example
+ *
+ *   app.use(router.asyncMiddleware());
+ *
+ * @return {Function}
+ * @api public
+ */
+
+router.asyncMiddleware = function () {
+
+  var middleware = this.middleware();
+  return function (ctx, next) {
+
+    return co.call(ctx, middleware.call(ctx, (function *() {
+
+      yield next();
+    })()));
   };
 };
 
@@ -201,7 +471,7 @@ methods.forEach(function (method) {
 router.all = function all(name, path, middleware) {
 
   var args = Array.prototype.slice.call(arguments);
-  args.splice(typeof path === "function" ? 1 : 2, 0, methods);
+  args.splice((typeof path === "string") || (path instanceof RegExp) ? 2 : 1, 0, methods);
 
   this.register.apply(this, args);
   return this;
@@ -227,20 +497,69 @@ router.mount = function mount(name, path, middleware) {
   }
 
   // Create a route.
-  var route = new Route(path, null, Array.prototype.slice.call(arguments, offset), name, this.opts);
+  middleware = Array.prototype.slice.call(arguments, offset);
+  var route = new Route(path, null, middleware, name, routeOptions(this.opts, middleware));
 
   // Compose with the parameter middleware.
-  Object.keys(this.params).forEach(function (param) {
-
-    route.param(param, this.params[param]);
-  }, this);
+  composeParams(this, route);
 
   this.routes.push(route);
 
   return this;
 };
 
-router.use = router.mount;
+/**
+ * Use the given middleware for requests calling any route of this router,
+ * mounts included, before the first route middleware called. Requests only
+ * answered by the router, e.g. with 405 or to OPTIONS, don't use it. With a
+ * path, mount the middleware like `router.mount()`.
+ *
+ * @param {String} name Optional.
+ * @param {String|RegExp} path Optional.
+ * @param {Function} middleware You may also pass multiple middleware.
+ * @return {Router}
+ * @api public
+ */
+
+router.use = function use(name, path, middleware) {
+
+  if (typeof name === "string" || name instanceof RegExp) {
+    return this.mount.apply(this, arguments);
+  }
+
+  utils.flatten(Array.prototype.slice.call(arguments)).forEach(function (fn) {
+
+    if (typeof fn !== "function") {
+      throw new Error("use: `middleware` must be a function, not `" + typeof fn + "`");
+    }
+
+    this.fns.push(utils.toGenerator(fn));
+  }, this);
+
+  return this;
+};
+
+/**
+ * Set the `prefix` of the paths of all routes of this router, including the
+ * routes already registered.
+ *
+ * @param {String} prefix e.g. "/api/v1"
+ * @return {Router}
+ * @api public
+ */
+
+router.prefix = function prefix(prefix) {
+
+  this.opts.prefix = prefix;
+  this.routes.forEach(function (route) {
+
+    route.setPrefix(prefix);
+  });
+
+  // Paths have changed, so the tree has to be rebuilt.
+  this.tree = null;
+  return this;
+};
 
 /**
  * Redirect `path` to `destination` URL with optional 30x status `code`.
@@ -272,7 +591,8 @@ router.redirect = function redirect(source, destination, code) {
 };
 
 /**
- * Create and register a route.
+ * Create and register a route. An options object may precede the middleware,
+ * e.g. the `validate` schemas or the `openapi` metadata of the route.
  *
  * @param {String} name Optional.
  * @param {String|RegExp} path Path string or regular expression.
@@ -294,13 +614,10 @@ router.register = function register(name, path, methods, middleware) {
   }
 
   // Create a route.
-  var route = new Route(path, methods, middleware, name, this.opts);
+  var route = new Route(path, methods, middleware, name, routeOptions(this.opts, middleware));
 
   // Compose with the parameter middleware.
-  Object.keys(this.params).forEach(function (param) {
-
-    route.param(param, this.params[param]);
-  }, this);
+  composeParams(this, route);
 
   this.routes.push(route);
 
@@ -316,146 +633,1088 @@ router.register = function register(name, path, methods, middleware) {
 };
 
 /**
- * Lookup route with given `name`.
+ * Remove the route with given `name`, or the given `route`. Routes are
+ * removed from a copy of `router.routes`, so requests in flight finish with
+ * the routes they started with.
  *
- * @param {String} name
- * @return {Router?}
+ * @param {String|Route} name
+ * @return {Router}
  * @api public
  */
 
-router.route = function route(name) {
+router.unregister = function unregister(name) {
 
-  for (var i = -1, l = this.routes.length; ++i < l;) {
-    if (this.routes[i].name === name) {
-      return this.routes[i];
-    }
+  var route = (typeof name === "string" ? findRoute(this, name) : name);
+  var index = this.routes.indexOf(route);
+  if (index < 0) {
+    throw new Error("unregister: no route `" + (route && route.path || name) + "`");
   }
 
-  return null;
+  this.routes = this.routes.slice(0, index).concat(this.routes.slice(index + 1));
+  return refresh(this);
 };
 
 /**
- * Generate URL for route using given `params`.
+ * Replace the middleware of the route with given `name`, by a new route with
+ * the same path, methods and options, at the same position. An options
+ * object may precede the middleware, merged over the options of the route.
  *
- * @param {String} name route name
- * @param {Object} params url parameters
- * @return {String|Error}
+ * @param {String} name
+ * @param {Function} middleware You may also pass multiple middleware.
+ * @return {Route} the new route
  * @api public
  */
 
-router.url = function url(name, params) {
+router.replace = function replace(name, middleware) {
 
-  var route = this.route(name);
-  if (route) {
-    var args = Array.prototype.slice.call(arguments, 1);
-    return route.url.apply(route, args);
+  var old = findRoute(this, name);
+  if (!old) {
+    throw new Error("replace: no route `" + name + "`");
   }
 
-  return new Error("No route found for name: " + name);
+  middleware = Array.prototype.slice.call(arguments, 1);
+  var route = new Route(old.pattern, old.asPrefix ? null : old.methods, middleware, old.name,
+    routeOptions(old.opts, middleware));
+
+  // Compose with the parameter middleware.
+  composeParams(this, route);
+
+  this.routes = this.routes.map(function (r) {
+    return r === old ? route : r;
+  });
+
+  refresh(this);
+  return route;
 };
 
 /**
- * Register parameter middleware.
+ * Remove all routes of this router. Parameter middleware are kept for the
+ * routes registered afterwards.
  *
- * @param {String} param
- * @param {Function} parameter middleware
  * @return {Router}
  * @api public
  */
 
-router.param = function param(param, fn) {
+router.clear = function clear() {
 
-  this.params[param] = fn;
-  this.routes.forEach(function (route) {
+  this.routes = [];
+  this.resources = {};
+  return refresh(this);
+};
 
-    route.param(param, fn);
+/**
+ * Load the routes of the directory of a router created with
+ * `Router.fromDirectory()` again, if its files have changed. The routes
+ * loaded from the files are replaced in place, and the other routes of the
+ * router are kept.
+ *
+ * @return {Boolean} whether the routes have been loaded again
+ * @api public
+ */
+
+router.rescan = function rescan() {
+
+  if (!this.dir) {
+    return false;
+  }
+
+  var signature = directory.signature(this.dir);
+  if (signature === this.signature) {
+    return false;
+  }
+
+  debug("loading routes of %s", this.dir);
+
+  // Child routers get the options of this router, but the ones of the root.
+  var opts = {};
+  for (var key in this.opts) {
+    if (["name", "prefix", "rescan"].indexOf(key) < 0) {
+      opts[key] = this.opts[key];
+    }
+  }
+
+  // Keep the other routes, around the position of the routes of the files.
+  var loaded = this.dirRoutes;
+  var others = this.routes.filter(function (route) {
+    return loaded.indexOf(route) < 0;
   });
+  var position = 0;
+  while (position < others.length && others[position] === this.routes[position]) {
+    position++;
+  }
 
-  return this;
+  // Load into another router with the options and the parameter middleware of
+  // this one, so that this one is left as is if loading throws.
+  var files = new Router(this.opts);
+  files.params = this.params;
+  directory.uncache(this.dir);
+  directory.load(files, this.dir, opts, function () {
+
+    return new Router(opts);
+  });
+
+  this.dirRoutes = files.routes;
+  this.routes = others.slice(0, position).concat(this.dirRoutes, others.slice(position));
+  this.signature = signature;
+  refresh(this);
+  return true;
 };
 
 /**
- * Match given `path` and return corresponding routes.
+ * Register the routes, param handlers, mounts and redirects described by a
+ * manifest, with the handlers it refers to by name.
  *
- * @param {String} path
- * @param {Array} params populated with captured url parameters
- * @return {Array?} Returns matched routes
- * @api private
+ * @example
+ *
+ *   router.load({
+ *     params: { user: "users.load" },
+ *     routes: [
+ *       { name: "user", path: "/users/:user", methods: ["GET"], handler: "users.show" },
+ *       { path: "/admin", mount: "admin" },
+ *       { path: "/me", redirect: "/profile", status: 302 }
+ *     ]
+ *   }, { users: users, admin: adminRouter });
+ *
+ * @param {Object|String} manifest or its JSON
+ * @param {Object} handlers registry of the referred handlers
+ * @return {Router}
+ * @api public
  */
 
-router.match = function (pathname) {
+router.load = function load(data, handlers) {
 
-  var routes = this.routes;
-  var matchedRoutes = [];
+  return manifest(this, data, handlers);
+};
 
-  debug("matching %s", pathname);
-  for (var i = -1, l = routes.length; ++i < l;) {
-    debug("test %s %s", routes[i].path, routes[i].regexp);
+/**
+ * Lookup route with given `name`, or create a route for `path` whose
+ * middleware are given per method, e.g. `router.route('/users/:id').get(fn)`.
+ * Names are told from paths by the leading "/".
+ *
+ * @param {String} name Route name to lookup, or name of the created route.
+ * @param {String|RegExp} path Optional. Path of the created route.
+ * @return {Route?}
+ * @api public
+ */
 
-    var matched = routes[i].match(pathname);
-    if (matched) {
-      debug("match %s %s", routes[i].path, routes[i].regexp);
+router.route = function route(name, path) {
 
-      matched.route = routes[i];
-      matchedRoutes.push(matched);
+  if (path === undefined) {
+    if (typeof name === "string" && name[0] !== "/") {
+      return findRoute(this, name);
     }
+
+    path = name;
+    name = undefined;
   }
 
-  return matchedRoutes.length > 0 ? matchedRoutes : null;
+  var route = new Route(path, [], [], name, this.opts);
+
+  // Compose with the parameter middleware.
+  composeParams(this, route);
+
+  this.routes.push(route);
+
+  return route;
 };
 
 /**
- * Extend given `app` with router methods.
+ * Register the routes of a RESTful resource, for the actions `controller`
+ * implements: `index`, `new`, `create`, `show`, `edit`, `update` and
+ * `destroy`. Routes are named after the resource and the action, e.g.
+ * "users.show".
  *
- * @param {Application} app
- * @return {Application}
- * @api private
+ * Resources named "parent.child" are nested in the "parent" resource, e.g.
+ * "users.posts" routes "/users/:user/posts", using the `id` param of the
+ * parent, which then has to be another one than the `id` param of the child.
+ * When both are the default one, the parent one is named after the parent,
+ * e.g. "/users/:users_id/posts/:id".
+ *
+ * Options:
+ *
+ *   - `id` name of the id param (default: "id")
+ *   - `path` path of the resource (default: "/" followed by the name)
+ *   - `only` actions to register
+ *   - `except` actions not to register
+ *
+ * @example
+ *
+ *   router
+ *     .param('user', function *(id, next) { ... })
+ *     .resource('users', users, { id: 'user', except: ['new', 'edit'] })
+ *     .resource('users.posts', posts);
+ *
+ *   router.url('users.posts.show', { user: 3, id: 1 });
+ *   // => "/users/3/posts/1"
+ *
+ * @param {String} name
+ * @param {Object} controller action middleware by action name
+ * @param {Object=} opts Optional.
+ * @return {Router}
+ * @api public
  */
 
-router.extendApp = function extendApp(app) {
+router.resource = function resource(name, controller, opts) {
 
-  var router = this;
-  app.url = router.url.bind(router);
-  app.router = router;
+  opts = opts || {};
+  var id = opts.id || "id";
+  var segments = name.split(".");
+  var path = opts.path || "/" + segments[segments.length - 1];
 
-  ["all", "redirect", "register", "param", "mount"]
-  .concat(methods)
-  .forEach(function (method) {
+  if (segments.length > 1) {
+    var parent = this.resources[segments.slice(0, -1).join(".")];
+    if (!parent) {
+      throw new Error("resource `" + name + "`: parent resource is not registered");
+    }
 
-    app[method] = function () {
+    // With default id params, the parent one is named after the parent.
+    var parentId = parent.id;
+    if (parentId === id) {
+      if (opts.id || !parent.defaultId) {
+        throw new Error("resource `" + name + "`: id param `" + id + "` is the id param of the parent");
+      }
 
-      router[method].apply(router, arguments);
-      return this;
-    };
-  });
+      parentId = segments[segments.length - 2] + "_id";
+    }
 
-  return app;
-};
+    path = utils.joinPath(parent.path + "/:" + parentId, path);
+  }
+
+  this.resources[name] = {
+    "id": id,
+    "defaultId": !opts.id,
+    "path": path
+  };
+
+  resourceActions.forEach(function (action) {
+
+    if (!controller[action.name] ||
+      (opts.only && opts.only.indexOf(action.name) < 0) ||
+      (opts.except && opts.except.indexOf(action.name) >= 0)) {
+      return;
+    }
+
+    this.register(name + "." + action.name, utils.joinPath(path, action.path.replace(":id", ":" + id)),
+      action.methods, controller[action.name]);
+  }, this);
 
+  return this;
+};
 
 /**
- * Merge `b` and `a` into a new object.
+ * Lookup the chain of routes leading to the route with given `name`,
+ * through the routers mounted in this router.
  *
- * @param {Object} a
- * @param {Object} b
- * @return {Object}
+ * Names of routes in mounted routers are prefixed by the name of the
+ * mounting route, e.g. "v1.users" is the route "users" of the router
+ * mounted by the route "v1". Unnamed mounting routes add no prefix.
+ *
+ * @param {String} name
+ * @return {Array?} of routes, the mounting ones first
  * @api private
  */
 
-function mergeParams(a, b) {
+router.resolve = function resolve(name) {
 
-  if (!b) {
-    return a;
+  if (typeof name !== "string") {
+    return null;
   }
 
-  var c = [];
-  for (var prop in a) {
-    c[prop] = a[prop];
+  var route = findRoute(this, name);
+  if (route) {
+    return [route];
   }
 
-  for (prop in b) {
-    c[prop] = b[prop];
+  for (var i = -1, l = this.routes.length; ++i < l;) {
+    route = this.routes[i];
+
+    var rest = name;
+    if (route.name) {
+      if (name.indexOf(route.name + ".") !== 0) {
+        continue;
+      }
+
+      rest = name.slice(route.name.length + 1);
+    }
+
+    for (var j = -1, m = route.routers.length; ++j < m;) {
+      var chain = route.routers[j].resolve(rest);
+      if (chain) {
+        return [route].concat(chain);
+      }
+    }
   }
 
-  return c;
-}
\ No newline at end of file
+  return null;
+};
+
+/**
+ * Generate URL for route using given `params`. The route may be in a
+ * mounted router, and the paths of the mounting routes are prepended.
+ * Named params which are in none of the paths are added as query string,
+ * and `options.origin` (default: `opts.origin`) makes the URL absolute.
+ *
+ * @example
+ *
+ *   users.get("show", "/users/:id", fn);
+ *   router.mount("v1", "/orgs/:org", users);
+ *
+ *   router.url("v1.show", { org: "koa", id: 3 });
+ *   // => "/orgs/koa/users/3"
+ *
+ *   router.url("v1.show", "koa", 3);
+ *   // => "/orgs/koa/users/3"
+ *
+ * @param {String} name route name
+ * @param {Object} params url parameters, or the positional ones.
+ * @param {Object=} options Optional. `origin` of absolute URL.
+ * @return {String|Error}
+ * @api public
+ */
+
+router.url = function url(name, params, options) {
+
+  var chain = this.resolve(name);
+  if (!chain) {
+    return new Error("No route found for name: " + name);
+  }
+
+  // Support the positional form.
+  if (typeof params !== "object" || params === null) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    options = typeof args[args.length - 1] === "object" ? args.pop() : null;
+    params = args;
+  }
+
+  // Positional params are consumed by the routes in order.
+  var positional = Array.isArray(params) && params.slice();
+  var keys = [];
+  var host = null;
+  var path = chain.reduce(function (url, route) {
+
+    keys = keys.concat(route.params, route.hostParams);
+    if (route.hostCompiled) {
+      host = route;
+    }
+
+    return utils.joinPath(url, route.toPath(positional ?
+      positional.splice(0, route.params.length) : params));
+  }, "");
+
+  // The innermost host pattern generates the origin.
+  options = options || {};
+  return utils.formatUrl(path, params, keys, options.origin !== undefined ?
+    options.origin : host ? host.toOrigin(params) : this.opts.origin);
+};
+
+/**
+ * List the routes of this router and of the routers mounted in it.
+ *
+ * Each entry has the full path template joined with the paths of the
+ * mounting routes, the `methods`, `name`, `params` names (including the
+ * ones captured by mounting routes and host patterns), its `host` pattern,
+ * whether it is a `prefix` mount, whether a `regexp` takes part in its path,
+ * its `depth`, the owning `router`, its `validate` schemas, its `openapi`
+ * metadata, its `meta` and the `schemas` of its typed params (including the
+ * ones of mounting routes). Routers serialize to their names, so the list
+ * can be passed to `JSON.stringify()` as is.
+ *
+ * @example
+ *
+ *   api.get("user", "/users/:id", fn);
+ *   router.mount("/v1", api);
+ *
+ *   router.stack();
+ *   // => [{ name: null, path: "/v1", methods: [], params: [], prefix: true, ... },
+ *   //     { name: "user", path: "/v1/users/:id", methods: ["GET"], params: ["id"], prefix: false, ... }]
+ *
+ * @return {Array}
+ * @api public
+ */
+
+router.stack = function stack() {
+
+  return collectStack(this, null, []);
+};
+
+/**
+ * Generate an OpenAPI 3 document from the routes of this router and of the
+ * routers mounted in it. Operations are described by the `openapi` route
+ * option.
+ *
+ * @example
+ *
+ *   router
+ *     .get("user", "/users/:id", { openapi: { summary: "Get a user", tags: ["users"] } }, fn)
+ *     .get("/openapi.json", function *() {
+ *       this.body = router.openapi({ info: { title: "Users", version: "1.0.0" } });
+ *     });
+ *
+ * @param {Object=} opts Optional. `info` and `servers` of the document.
+ * @return {Object}
+ * @api public
+ */
+
+router.openapi = function (opts) {
+
+  return openapi(this, opts);
+};
+
+/**
+ * Serialize the router to its name.
+ *
+ * @return {String?}
+ * @api public
+ */
+
+router.toJSON = function toJSON() {
+
+  return this.name;
+};
+
+/**
+ * Register parameter middleware, run once per request and param value for
+ * the routes of this router, and for the params captured by the routes
+ * mounting this router.
+ *
+ * @param {String} param
+ * @param {Function} parameter middleware
+ * @return {Router}
+ * @api public
+ */
+
+router.param = function param(param, fn) {
+
+  this.params[param] = fn;
+  this.routes.forEach(function (route) {
+
+    route.param(param, fn);
+  });
+
+  return this;
+};
+
+/**
+ * Register the middleware handling requests whose paths match no route of
+ * this router, but prefix mounts. For mounted routers, it only handles the
+ * requests whose paths are inside the mount, instead of passing them on.
+ *
+ * @example
+ *
+ *   api.notFound(function *(next) {
+ *     this.status = 404;
+ *     this.body = { error: "Not Found" };
+ *   });
+ *
+ *   app.mount("/api", api);
+ *
+ * @param {Function} fn
+ * @return {Router}
+ * @api public
+ */
+
+router.notFound = function notFound(fn) {
+
+  this.notFoundHandler = utils.toGenerator(fn);
+  return this;
+};
+
+/**
+ * Register the handler of errors thrown by the routes of this router and
+ * the routers mounted in it, unless these routers handle them. The handler
+ * runs with the `ctx.path` and `ctx.params` of this router, and may recover
+ * from the error, rethrow it or throw another one.
+ *
+ * The handler gets the error and the innermost `route` it was thrown from,
+ * in mounted routers too (`null` for router middleware and not found
+ * handlers), the `path` in this router and the `params` the route ran with.
+ *
+ * @example
+ *
+ *   api.onError(function *(err, info) {
+ *     this.status = err.status || 500;
+ *     this.body = { error: err.message, route: info.route && info.route.name };
+ *   });
+ *
+ * @param {Function *(err, info)} fn or `function (err, ctx, info)` returning
+ * a promise
+ * @return {Router}
+ * @api public
+ */
+
+router.onError = function onError(fn) {
+
+  this.errorHandler = fn;
+  return this;
+};
+
+/**
+ * Match given `path` and return corresponding routes.
+ *
+ * @param {String} path
+ * @param {String=} hostname Optional. Matched against host patterns.
+ * @return {Array?} Returns matched routes
+ * @api private
+ */
+
+router.match = function (pathname, hostname) {
+
+  // Routes can be pushed to or replaced in `router.routes` directly,
+  // so we rebuild the tree whenever it is out of date.
+  if (!this.tree || !this.tree.indexes(this.routes)) {
+    this.tree = new Tree(this.routes);
+  }
+
+  var routes = this.tree.lookup(pathname);
+  var matchedRoutes = [];
+
+  debug("matching %s", pathname);
+  for (var i = -1, l = routes.length; ++i < l;) {
+    debug("test %s %s", routes[i].path, routes[i].regexp);
+
+    var matched = routes[i].match(pathname, hostname);
+    if (matched) {
+      debug("match %s %s", routes[i].path, routes[i].regexp);
+
+      matched.route = routes[i];
+      matchedRoutes.push(matched);
+    }
+  }
+
+  return matchedRoutes.length > 0 ? matchedRoutes : null;
+};
+
+/**
+ * Extend given `app` with router methods.
+ *
+ * @param {Application} app
+ * @return {Application}
+ * @api private
+ */
+
+router.extendApp = function extendApp(app) {
+
+  var router = this;
+  app.url = router.url.bind(router);
+  app.route = router.route.bind(router);
+  app.router = router;
+
+  ["all", "redirect", "register", "unregister", "resource", "load", "param", "mount", "notFound", "onError"]
+  .concat(methods)
+  .forEach(function (method) {
+
+    app[method] = function () {
+
+      router[method].apply(router, arguments);
+      return this;
+    };
+  });
+
+  return app;
+};
+
+
+/**
+ * Pass the request whose path matches no route of `router` to the not found
+ * handler of the router if any, or to `next`.
+ *
+ * @param {Router} router
+ * @param {Context} ctx
+ * @param {Function} next
+ * @api private
+ */
+
+function *handleNotFound(router, ctx, next) {
+
+  if (!router.notFoundHandler) {
+    return yield *next;
+  }
+
+  // Errors of the handler are thrown from no route.
+  try {
+    yield *router.notFoundHandler.call(ctx, next);
+  } catch (err) {
+    recordFailure(ctx, err, null, ctx.params);
+    throw err;
+  }
+}
+
+/**
+ * Remember the `route` and its `params` the error `err` is thrown from, for
+ * the error handlers, unless it is already known from an inner route.
+ *
+ * @param {Context} ctx
+ * @param {Error} err
+ * @param {Route?} route
+ * @param {Object} params
+ * @api private
+ */
+
+function recordFailure(ctx, err, route, params) {
+
+  if (!ctx._routeFailure || ctx._routeFailure.error !== err) {
+    ctx._routeFailure = {
+      "error": err,
+      "route": route,
+      "params": params
+    };
+  }
+}
+
+/**
+ * Run the error handler of `router` for `err`.
+ *
+ * @param {Router} router
+ * @param {Context} ctx
+ * @param {Error} err
+ * @param {Object} info `route`, `path` and `params`
+ * @api private
+ */
+
+function *handleError(router, ctx, err, info) {
+
+  var fn = router.errorHandler;
+  if (utils.isGeneratorFunction(fn)) {
+    return yield *fn.call(ctx, err, info);
+  }
+
+  yield Promise.resolve(fn.call(ctx, err, ctx, info));
+}
+
+/**
+ * Redirect the request to its `canonical` path, keeping the query string.
+ * Paths mounted by parent routers are kept as well, since `ctx.path` is
+ * rewritten in mounts.
+ *
+ * The status is `opts.normalize.status` of the router, or 301 for GET and
+ * HEAD requests and 308 for others which should not change their method.
+ *
+ * @param {Router} router
+ * @param {Context} ctx
+ * @param {String} canonical
+ * @api private
+ */
+
+function redirectCanonical(router, ctx, canonical) {
+
+  var original = ctx.originalUrl.split("?")[0];
+  var prefix = "";
+  if (original.slice(-ctx.path.length) === ctx.path) {
+    prefix = original.slice(0, -ctx.path.length);
+  }
+
+  var status = router.opts.normalize.status;
+  if (!status) {
+    status = (ctx.method === "GET" || ctx.method === "HEAD" ? 301 : 308);
+  }
+
+  debug("redirecting %s to %s", ctx.path, canonical);
+  ctx.redirect(prefix + canonical + (ctx.querystring ? "?" + ctx.querystring : ""));
+  ctx.status = status;
+}
+
+/**
+ * Respond to a request no route has handled with `status`: 204 to OPTIONS
+ * requests, 405 or 501 when no route handles the method, or 400, 415 or 406
+ * when no route fits the requested version or media types.
+ *
+ * The `options`, `methodNotAllowed` and `notImplemented` handlers of the
+ * router respond instead, with the `allowed` methods as argument: generator
+ * functions `(allowed)`, or functions `(ctx, allowed)` returning a promise.
+ * With the `throw` option, errors are thrown with the `allowed` methods.
+ *
+ * @param {Router} router
+ * @param {Context} ctx
+ * @param {Number} status
+ * @param {Array} allowed methods
+ * @param {String?} version requested version
+ * @api private
+ */
+
+function *respond(router, ctx, status, allowed, version) {
+
+  var opts = router.opts;
+  var message = (status === 400 ? "Unsupported version: " + version : statuses[status]);
+  if (status === 204 || status === 405 || status === 501) {
+    ctx.set("Allow", allowed.join(", "));
+  }
+
+  var handler = {
+    "204": opts.options,
+    "405": opts.methodNotAllowed,
+    "501": opts.notImplemented
+  }[status];
+
+  if (utils.isGeneratorFunction(handler)) {
+    return yield *handler.call(ctx, allowed);
+  }
+
+  if (handler) {
+    return yield Promise.resolve(handler.call(ctx, ctx, allowed));
+  }
+
+  if (opts.throw && status !== 204) {
+    ctx.throw(status, message, {
+      "allowed": allowed,
+      "headers": {
+        "Allow": allowed.join(", ")
+      }
+    });
+  }
+
+  if (status === 400) {
+    ctx.body = message;
+  }
+
+  // If we set the status using `ctx.status`, it will make the `ctx.response._explicitStatus` true,
+  // which means if we writes `ctx.body` in upstream, it will not auto modify the `ctx.status`.
+  // So here we just write the status in the `ctx.res.statusCode` directly.
+  ctx.res.statusCode = status;
+  ctx.res.statusMessage = statuses[status];
+}
+
+/**
+ * Check the request media types against the ones `route` consumes and
+ * produces (the `consumes` and `produces` options).
+ *
+ * @param {Context} ctx
+ * @param {Route} route
+ * @return {Number} 415 or 406 if the route doesn't fit, 0 otherwise
+ * @api private
+ */
+
+function negotiate(ctx, route) {
+
+  // Requests without body can be consumed by any route.
+  var consumes = route.opts.consumes;
+  if (consumes && ctx.is([].concat(consumes)) === false) {
+    return 415;
+  }
+
+  var produces = route.opts.produces;
+  if (produces) {
+    ctx.vary("Accept");
+    if (!ctx.accepts([].concat(produces))) {
+      return 406;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Get the version range requested by the `Accept-Version` header or by the
+ * `version` parameter of a vendor media type in the `Accept` header,
+ * e.g. `application/vnd.example+json; version=2`.
+ *
+ * @param {Context} ctx
+ * @return {String?}
+ * @api private
+ */
+
+function requestedVersion(ctx) {
+
+  var version = ctx.get("Accept-Version");
+  if (version) {
+    return version;
+  }
+
+  var matches = /;\s*version=([^,;\s]+)/.exec(ctx.get("Accept"));
+  return matches ? matches[1] : null;
+}
+
+/**
+ * Select the route with the newest `version` option compatible with the
+ * requested `version` among the `routes` handling `method`.
+ *
+ * @param {Array} routes matched routes
+ * @param {String} method
+ * @param {String?} version requested range, any version if not given
+ * @return {Route?}
+ * @api private
+ */
+
+function selectVersion(routes, method, version) {
+
+  var range = semver.validRange(version || "*");
+  var selected = null;
+  if (!range) {
+    return selected;
+  }
+
+  routes.forEach(function (matched) {
+
+    var route = matched.route;
+    if (!route.opts.version || !(route.asPrefix || route.methods.indexOf(method) >= 0 ||
+      (method === "HEAD" && route.methods.indexOf("GET") >= 0))) {
+      return;
+    }
+
+    if (semver.intersects(route.opts.version, range) && (!selected ||
+      semver.gt(semver.minVersion(route.opts.version), semver.minVersion(selected.opts.version)))) {
+      selected = route;
+    }
+  });
+
+  return selected;
+}
+
+/**
+ * Get the parameter middleware of `router` for the `params` captured by
+ * parent routers, e.g. by the `mount()` prefix, in order of appearance.
+ *
+ * @param {Router} router
+ * @param {Object?} params
+ * @return {Array}
+ * @api private
+ */
+
+function inheritedParams(router, params) {
+
+  if (!params) {
+    return [];
+  }
+
+  return Object.keys(params).filter(function (param) {
+
+    return router.params[param] && params[param] !== undefined;
+  }).map(function (param) {
+
+    return Route.paramMiddleware(param, router.params[param]);
+  });
+}
+
+/**
+ * Check if any route of `router` handles `method`, including the routes
+ * whose methods are added after registration by `router.route()`.
+ *
+ * @param {Router} router
+ * @param {String} method
+ * @return {Boolean}
+ * @api private
+ */
+
+function implemented(router, method) {
+
+  if (router.methods.indexOf(method) >= 0) {
+    return true;
+  }
+
+  return router.routes.some(function (route) {
+    return route.methods.indexOf(method) >= 0;
+  });
+}
+
+/**
+ * Bring the methods and the tree of `router` in line with its routes, after
+ * routes have been removed or replaced.
+ *
+ * @param {Router} router
+ * @return {Router}
+ * @api private
+ */
+
+function refresh(router) {
+
+  router.methods = ["OPTIONS"];
+  router.routes.forEach(function (route) {
+
+    route.methods.forEach(function (method) {
+
+      if (router.methods.indexOf(method) < 0) {
+        router.methods.push(method);
+      }
+    });
+  });
+
+  // The tree is rebuilt on the next match.
+  router.tree = null;
+  return router;
+}
+
+/**
+ * Compose `route` with the parameter middleware of `router`.
+ *
+ * @param {Router} router
+ * @param {Route} route
+ * @return {Route}
+ * @api private
+ */
+
+function composeParams(router, route) {
+
+  Object.keys(router.params).forEach(function (param) {
+
+    route.param(param, router.params[param]);
+  });
+
+  return route;
+}
+
+/**
+ * Find the route of `router` with given `name`.
+ *
+ * @param {Router} router
+ * @param {String} name
+ * @return {Route?}
+ * @api private
+ */
+
+function findRoute(router, name) {
+
+  for (var i = -1, l = router.routes.length; ++i < l;) {
+    if (router.routes[i].name === name) {
+      return router.routes[i];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Shift the route options object off the front of `middleware`, if any,
+ * and merge it into a copy of the router `opts`.
+ *
+ * @param {Object} opts router options
+ * @param {Array} middleware
+ * @return {Object}
+ * @api private
+ */
+
+function routeOptions(opts, middleware) {
+
+  var first = middleware[0];
+  if (!first || Object.getPrototypeOf(first) !== Object.prototype) {
+    return opts;
+  }
+
+  var options = {};
+  for (var key in opts) {
+    options[key] = opts[key];
+  }
+
+  middleware.shift();
+  for (key in first) {
+    options[key] = first[key];
+  }
+
+  return options;
+}
+
+/**
+ * Merge `b` and `a` into a new object.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @return {Object}
+ * @api private
+ */
+
+function mergeParams(a, b) {
+
+  if (!b) {
+    return a;
+  }
+
+  var c = [];
+  for (var prop in a) {
+    c[prop] = a[prop];
+  }
+
+  for (prop in b) {
+    c[prop] = b[prop];
+  }
+
+  return c;
+}
+
+/**
+ * Inherit the `parent` metadata of mounting routes in the `meta` of a route,
+ * into a new object.
+ *
+ * @param {Object?} parent
+ * @param {Object} meta
+ * @return {Object}
+ * @api private
+ */
+
+function inheritMeta(parent, meta) {
+
+  var c = {};
+  for (var prop in parent) {
+    c[prop] = parent[prop];
+  }
+
+  for (prop in meta) {
+    c[prop] = meta[prop];
+  }
+
+  return c;
+}
+
+/**
+ * Inherit the `parent` schemas of the typed params of mounting routes in
+ * the schemas of the route `types`, into a new object.
+ *
+ * @param {Object?} parent
+ * @param {Object} types
+ * @return {Object}
+ * @api private
+ */
+
+function inheritSchemas(parent, types) {
+
+  var c = {};
+  for (var name in parent) {
+    c[name] = parent[name];
+  }
+
+  for (name in types) {
+    c[name] = types[name].schema;
+  }
+
+  return c;
+}
+
+/**
+ * Append the stack entries of `router` mounted by the `parent` entry to
+ * `entries`.
+ *
+ * @param {Router} router
+ * @param {Object?} parent entry of the mounting route
+ * @param {Array} entries
+ * @return {Array} entries
+ * @api private
+ */
+
+function collectStack(router, parent, entries) {
+
+  router.routes.forEach(function (route) {
+
+    var entry = {
+      "name": route.name,
+      "path": utils.joinPath(parent && parent.path, route.path),
+      "methods": route.methods.slice(),
+      "params": (parent ? parent.params : []).concat(route.hostParams.concat(route.params).map(function (param) {
+        return param.name;
+      })),
+      "host": route.opts.host || null,
+      "prefix": route.asPrefix,
+      "regexp": !!(parent && parent.regexp) || route.path === route.regexp.source,
+      "depth": parent ? parent.depth + 1 : 0,
+      "router": router,
+      "validate": route.opts.validate || null,
+      "openapi": route.opts.openapi || null,
+      "meta": inheritMeta(parent && parent.meta, route.meta),
+      "schemas": inheritSchemas(parent && parent.schemas, route.types)
+    };
+
+    entries.push(entry);
+    route.routers.forEach(function (child) {
+
+      collectStack(child, entry, entries);
+    });
+  });
+
+  return entries;
+}
@@ -0,0 +1,181 @@
+"use strict";
+
+/**
+ * Dependencies
+ */
+
+var pathToRegexp = require("path-to-regexp");
+
+/**
+ * Expose `Tree`.
+ */
+
+module.exports = Tree;
+
+/**
+ * Initialize a new Tree with given `routes`.
+ *
+ * The tree indexes routes by the static segments leading their paths, so
+ * looking up a request path only yields the routes which may match it.
+ * Routes without a leading static segment (e.g. `/:id` or RegExp routes)
+ * stay at the root and are always returned as candidates.
+ *
+ * @param {Array} routes Optional.
+ * @return {Tree}
+ * @api private
+ */
+
+function Tree(routes) {
+
+  this.root = createNode();
+  this.routes = [];
+  this.length = 0;
+
+  if (routes) {
+    routes.forEach(this.add, this);
+  }
+}
+
+/**
+ * Tree prototype
+ */
+
+var tree = Tree.prototype;
+
+/**
+ * Add `route` to the tree. Routes keep the order they are added in.
+ *
+ * @param {Route} route
+ * @return {Tree}
+ * @api private
+ */
+
+tree.add = function add(route) {
+
+  var node = this.root;
+  var segments = staticSegments(route);
+  for (var i = -1, l = segments.length; ++i < l;) {
+    var segment = segments[i];
+    node = node.children[segment] || (node.children[segment] = createNode());
+  }
+
+  node.routes.push({
+    "index": this.length++,
+    "route": route
+  });
+
+  this.routes.push(route);
+  return this;
+};
+
+/**
+ * Check if the tree indexes exactly the given `routes`, in order.
+ *
+ * @param {Array} routes
+ * @return {Boolean}
+ * @api private
+ */
+
+tree.indexes = function indexes(routes) {
+
+  if (routes.length !== this.length) {
+    return false;
+  }
+
+  for (var i = -1, l = routes.length; ++i < l;) {
+    if (routes[i] !== this.routes[i]) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Lookup the routes which may match given `path`, in the order they were
+ * added. The candidates still have to be tested with `Route#match()`.
+ *
+ * @param {String} path
+ * @return {Array} of routes
+ * @api private
+ */
+
+tree.lookup = function lookup(path) {
+
+  var node = this.root;
+  var entries = node.routes;
+  var segments = path.split("/");
+
+  // The first segment is the empty string before the leading slash.
+  for (var i = 0, l = segments.length; ++i < l;) {
+    node = node.children[segments[i].toLowerCase()];
+    if (!node) {
+      break;
+    }
+
+    if (node.routes.length) {
+      entries = entries.concat(node.routes);
+    }
+  }
+
+  return entries.sort(function (a, b) {
+
+    return a.index - b.index;
+  }).map(function (entry) {
+
+    return entry.route;
+  });
+};
+
+/**
+ * Create an empty tree node.
+ *
+ * @return {Object}
+ * @api private
+ */
+
+function createNode() {
+
+  return {
+    "children": Object.create(null),
+    "routes": []
+  };
+}
+
+/**
+ * Get the complete static segments leading the path of `route`, lower cased
+ * so that case insensitive routes are found too.
+ *
+ * @param {Route} route
+ * @return {Array}
+ * @api private
+ */
+
+function staticSegments(route) {
+
+  // RegExp routes keep the source of the regular expression as path.
+  if (typeof route.path !== "string" || route.path[0] !== "/" ||
+    route.path === route.regexp.source) {
+    return [];
+  }
+
+  var tokens = pathToRegexp.parse(route.path);
+  if (typeof tokens[0] !== "string") {
+    return [];
+  }
+
+  var segments = tokens[0].toLowerCase().split("/").slice(1);
+
+  // A parameter without the "/" prefix shares the last segment, e.g.
+  // `/users-:id` or `/file.:ext`.
+  if (tokens.length > 1 && tokens[1].prefix !== "/") {
+    segments.pop();
+  }
+
+  // Non-strict and prefix routes match with or without a trailing slash.
+  while (segments.length && !segments[segments.length - 1]) {
+    segments.pop();
+  }
+
+  return segments;
+}
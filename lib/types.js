@@ -0,0 +1,51 @@
+"use strict";
+
+/**
+ * Types of route parameters, e.g. `:id<int>`. Each type has the `pattern`
+ * matching the values of the parameter, the `parse` converter of the
+ * matched values into `ctx.params`, and the `format` formatter of the
+ * values given to `url()`, and the OpenAPI `schema` of the values.
+ *
+ * Register other types with `Router.type()`.
+ */
+
+module.exports = {
+  "int": {
+    "pattern": "-?\\d+",
+    "parse": function (value) {
+      return parseInt(value, 10);
+    },
+    "format": String,
+    "schema": {
+      "type": "integer"
+    }
+  },
+  "number": {
+    "pattern": "-?\\d*\\.?\\d+",
+    "parse": Number,
+    "format": String,
+    "schema": {
+      "type": "number"
+    }
+  },
+  "slug": {
+    "pattern": "[a-z0-9]+[a-z0-9-]*",
+    "parse": String,
+    "format": String,
+    "schema": {
+      "type": "string",
+      "pattern": "^[a-z0-9]+[a-z0-9-]*$"
+    }
+  },
+  "uuid": {
+    "pattern": "[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}",
+    "parse": function (value) {
+      return value.toLowerCase();
+    },
+    "format": String,
+    "schema": {
+      "type": "string",
+      "format": "uuid"
+    }
+  }
+};
@@ -0,0 +1,158 @@
+"use strict";
+
+/**
+ * Dependencies
+ */
+
+var co = require("co");
+var querystring = require("querystring");
+
+/**
+ * Join the mounting `prefix` with `path`.
+ *
+ * @param {String} prefix
+ * @param {String} path
+ * @return {String}
+ * @api private
+ */
+
+exports.joinPath = function joinPath(prefix, path) {
+
+  if (!prefix) {
+    return path;
+  }
+
+  if (path === "/") {
+    return prefix;
+  }
+
+  return prefix.replace(/\/$/, "") + path;
+};
+
+/**
+ * Format the URL of generated `path`. Named `params` which are not `keys`
+ * of the path are added as query string, and `origin` makes the URL
+ * absolute.
+ *
+ * @param {String} path
+ * @param {Object|Array} params named or positional url parameters
+ * @param {Array} keys of the path
+ * @param {String?} origin e.g. "https://example.com"
+ * @return {String}
+ * @api private
+ */
+
+exports.formatUrl = function formatUrl(path, params, keys, origin) {
+
+  var query = {};
+  if (!Array.isArray(params)) {
+    var names = keys.map(function (key) {
+      return String(key.name);
+    });
+
+    for (var key in params) {
+      if (params[key] != null && names.indexOf(key) < 0) {
+        query[key] = params[key];
+      }
+    }
+  }
+
+  var search = querystring.stringify(query);
+  return (origin ? origin.replace(/\/$/, "") : "") + path + (search ? "?" + search : "");
+};
+
+/**
+ * Flatten the array, dropping `undefined` and `null` elements.
+ *
+ * @param {Array} a
+ * @param {Array?} ret
+ * @return {Array} ret
+ * @api private
+ */
+
+exports.flatten = function flatten(a, ret) {
+
+  ret = ret || [];
+  var e;
+  for (var i = -1, l = a.length; ++i < l;) {
+    e = a[i];
+    if (Array.isArray(e)) {
+      ret = ret.concat(flatten(e));
+    } else if (e !== undefined && e !== null) {
+      ret.push(e);
+    }
+  }
+
+  return ret;
+};
+
+/**
+ * Check if `fn` is a generator function.
+ *
+ * @param {Function} fn
+ * @return {Boolean}
+ * @api private
+ */
+
+exports.isGeneratorFunction = function isGeneratorFunction(fn) {
+
+  return !!fn && !!fn.constructor && fn.constructor.name === "GeneratorFunction";
+};
+
+/**
+ * Convert middleware taking `(ctx, next)` and returning a promise, such as
+ * async functions, to generator middleware. Generator functions are
+ * returned as is.
+ *
+ * @param {Function} fn
+ * @return {Function}
+ * @api private
+ */
+
+exports.toGenerator = function toGenerator(fn) {
+
+  if (exports.isGeneratorFunction(fn)) {
+    return fn;
+  }
+
+  return function *(next) {
+
+    yield Promise.resolve(fn.call(this, this, exports.nextPromise(this, next)));
+  };
+};
+
+/**
+ * Create the `next` function of promise middleware, which runs the `next`
+ * generator of generator middleware.
+ *
+ * @param {Context} ctx
+ * @param {Generator} next
+ * @return {Function} returning a promise
+ * @api private
+ */
+
+exports.nextPromise = function nextPromise(ctx, next) {
+
+  return function () {
+
+    return co.call(ctx, next);
+  };
+};
+
+/**
+ * Safe decodeURIComponent, won't throw any error.
+ * If `decodeURIComponent` error happen, just return the original value.
+ *
+ * @param {String} text
+ * @return {String} URL decode original string.
+ * @api private
+ */
+
+exports.safeDecodeURIComponent = function safeDecodeURIComponent(text) {
+
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return text;
+  }
+};
@@ -0,0 +1,254 @@
+"use strict";
+
+/**
+ * Expose `validate`.
+ */
+
+module.exports = validate;
+
+/**
+ * Request parts which can be validated, and how to get them from context.
+ */
+
+var LOCATIONS = {
+  "params": function (ctx) {
+
+    // Captured params are kept in an array.
+    var params = {};
+    for (var key in ctx.params) {
+      params[key] = ctx.params[key];
+    }
+
+    return params;
+  },
+  "query": function (ctx) {
+
+    return ctx.query;
+  },
+  "headers": function (ctx) {
+
+    return ctx.headers;
+  },
+  "body": function (ctx) {
+
+    return ctx.request.body;
+  }
+};
+
+/**
+ * Create middleware validating the request against given `schemas`.
+ *
+ * The `params`, `query`, `headers` and `body` schemas are JSON schemas
+ * supporting `type`, `enum`, `pattern`, `minLength`, `maxLength`, `minimum`,
+ * `maximum`, `properties`, `required`, `additionalProperties`, `items`,
+ * `minItems` and `maxItems`. As `params`, `query` and `headers` values are
+ * strings, they are accepted for numeric and boolean types when they can be
+ * parsed as such. Header names must be lower case.
+ *
+ * When the request is invalid, it responds 400 with the list of errors in
+ * the body, e.g. `{ errors: [{ in: "params", path: "id", message: "must be integer" }] }`.
+ *
+ * @param {Object} schemas
+ * @return {Function}
+ * @api private
+ */
+
+function validate(schemas) {
+
+  return function *validate(next) {
+
+    var errors = [];
+    for (var location in LOCATIONS) {
+      var schema = schemas[location];
+      if (!schema) {
+        continue;
+      }
+
+      var value = LOCATIONS[location](this);
+      if (value === undefined) {
+        errors.push(error(location, "", "is required"));
+        continue;
+      }
+
+      check(value, schema, location !== "body", location, "", errors);
+    }
+
+    if (errors.length) {
+      this.status = 400;
+      this.body = {
+        "errors": errors
+      };
+
+      return;
+    }
+
+    yield *next;
+  };
+}
+
+/**
+ * Check `value` against `schema`, pushing the found errors to `errors`.
+ *
+ * @param {Mixed} value
+ * @param {Object} schema
+ * @param {Boolean} strings whether the value may be a string of another type
+ * @param {String} location
+ * @param {String} path of the value
+ * @param {Array} errors
+ * @api private
+ */
+
+function check(value, schema, strings, location, path, errors) {
+
+  var types = schema.type === undefined ? [] : [].concat(schema.type);
+
+  // Repeated query strings are arrays, single ones are not.
+  if (strings && types.indexOf("array") >= 0 && typeof value === "string") {
+    value = [value];
+  }
+
+  if (types.length && !types.some(function (type) {
+    return isType(value, type, strings);
+  })) {
+    errors.push(error(location, path, "must be " + types.join(" or ")));
+    return;
+  }
+
+  if (schema.enum && schema.enum.map(String).indexOf(String(value)) < 0) {
+    errors.push(error(location, path, "must be one of " + schema.enum.join(", ")));
+  }
+
+  if (typeof value === "string") {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(error(location, path, "must match " + schema.pattern));
+    }
+
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(error(location, path, "must be at least " + schema.minLength + " characters"));
+    }
+
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(error(location, path, "must be at most " + schema.maxLength + " characters"));
+    }
+  }
+
+  var number = typeof value === "string" && strings ? Number(value) : value;
+  if (typeof number === "number" && !isNaN(number)) {
+    if (schema.minimum !== undefined && number < schema.minimum) {
+      errors.push(error(location, path, "must be >= " + schema.minimum));
+    }
+
+    if (schema.maximum !== undefined && number > schema.maximum) {
+      errors.push(error(location, path, "must be <= " + schema.maximum));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(error(location, path, "must have at least " + schema.minItems + " items"));
+    }
+
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(error(location, path, "must have at most " + schema.maxItems + " items"));
+    }
+
+    if (schema.items) {
+      value.forEach(function (item, i) {
+
+        check(item, schema.items, strings, location, join(path, i), errors);
+      });
+    }
+
+  } else if (value !== null && typeof value === "object") {
+    (schema.required || []).forEach(function (key) {
+
+      if (value[key] === undefined) {
+        errors.push(error(location, join(path, key), "is required"));
+      }
+    });
+
+    var properties = schema.properties || {};
+    Object.keys(value).forEach(function (key) {
+
+      if (value[key] === undefined) {
+        return;
+      }
+
+      if (properties[key]) {
+        check(value[key], properties[key], strings, location, join(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(error(location, join(path, key), "is not allowed"));
+      }
+    });
+  }
+}
+
+/**
+ * Check if `value` is of JSON schema `type`.
+ *
+ * @param {Mixed} value
+ * @param {String} type
+ * @param {Boolean} strings whether the value may be a string of another type
+ * @return {Boolean}
+ * @api private
+ */
+
+function isType(value, type, strings) {
+
+  if (strings && typeof value === "string") {
+    switch (type) {
+    case "integer":
+      return /^-?\d+$/.test(value);
+    case "number":
+      return value.trim() !== "" && !isNaN(Number(value));
+    case "boolean":
+      return value === "true" || value === "false";
+    }
+  }
+
+  switch (type) {
+  case "integer":
+    return typeof value === "number" && value % 1 === 0;
+  case "array":
+    return Array.isArray(value);
+  case "object":
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  case "null":
+    return value === null;
+  default:
+    return typeof value === type;
+  }
+}
+
+/**
+ * Create a validation error.
+ *
+ * @param {String} location
+ * @param {String} path
+ * @param {String} message
+ * @return {Object}
+ * @api private
+ */
+
+function error(location, path, message) {
+
+  return {
+    "in": location,
+    "path": path,
+    "message": message
+  };
+}
+
+/**
+ * Join the property `key` to `path`.
+ *
+ * @param {String} path
+ * @param {String|Number} key
+ * @return {String}
+ * @api private
+ */
+
+function join(path, key) {
+
+  return path ? path + "." + key : String(key);
+}
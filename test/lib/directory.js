@@ -0,0 +1,182 @@
+"use strict";
+
+/**
+ * Directory routes tests
+ */
+
+var fs = require("fs");
+var koa = require("koa");
+var os = require("os");
+var path = require("path");
+var Router = require("../../lib/router");
+var request = require("supertest");
+var should = require("should");
+
+
+function mkdir(dir) {
+
+  if (!fs.existsSync(dir)) {
+    mkdir(path.dirname(dir));
+    fs.mkdirSync(dir);
+  }
+}
+
+function remove(file) {
+
+  if (!fs.statSync(file).isDirectory()) {
+    return fs.unlinkSync(file);
+  }
+
+  fs.readdirSync(file).forEach(function (name) {
+    remove(path.join(file, name));
+  });
+  fs.rmdirSync(file);
+}
+
+function write(dir, file, source) {
+
+  file = path.join(dir, file);
+  mkdir(path.dirname(file));
+  fs.writeFileSync(file, source);
+}
+
+function handler(body) {
+
+  return "function *() { this.body = " + body + "; }";
+}
+
+
+describe("router/lib/directory", function () {
+
+  var dir;
+
+  beforeEach(function () {
+
+    dir = path.join(os.tmpdir(), "siren-router-" + process.pid + "-" + Date.now());
+    write(dir, "index.js", "exports.get = " + handler("'home'") + ";");
+    write(dir, "users/index.js",
+      "exports.get = " + handler("'users'") + ";\n" +
+      "exports.post = " + handler("'created'") + ";");
+    write(dir, "users/new.js", "exports.get = " + handler("'new'") + ";");
+    write(dir, "users/[id].js",
+      "exports.get = " + handler("'user ' + this.params.id") + ";\n" +
+      "exports.delete = " + handler("'deleted'") + ";");
+    write(dir, "files/[...path].js", "exports.get = " + handler("this.params.path") + ";");
+    write(dir, "README.md", "Not a route.");
+  });
+
+  afterEach(function () {
+
+    remove(dir);
+  });
+
+  it("should build routes from the files", function () {
+
+    var router = Router.fromDirectory(dir);
+
+    should.deepEqual(router.stack().map(function (entry) {
+      return [entry.methods.join(), entry.path, entry.depth];
+    }), [
+      ["", "/files", 0],
+      ["GET", "/files/:path*", 1],
+      ["GET", "/", 0],
+      ["", "/users", 0],
+      ["GET", "/users", 1],
+      ["POST", "/users", 1],
+      ["GET", "/users/new", 1],
+      ["DELETE", "/users/:id", 1],
+      ["GET", "/users/:id", 1]
+    ]);
+  });
+
+  it("should load relative directories", function () {
+
+    var router = Router.fromDirectory(path.relative(process.cwd(), dir));
+
+    router.route("/").should.have.property("path", "/");
+  });
+
+  it("should route requests to the files", function (done) {
+
+    var app = koa();
+    app.use(Router.fromDirectory(dir).middleware());
+
+    var server = app.listen();
+    request(server)
+    .get("/users/new")
+    .expect(200, "new", function (err) {
+
+      if (err) {
+        return done(err);
+      }
+
+      request(server)
+      .get("/users/3")
+      .expect(200, "user 3", function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+        .get("/files/a/b.txt")
+        .expect(200, "a/b.txt", done);
+      });
+    });
+  });
+
+  it("should load changed files again when rescanning", function (done) {
+
+    var app = koa();
+    var router = Router.fromDirectory(dir, { rescan: true });
+    app.use(router.middleware());
+
+    router.rescan().should.be.false;
+    write(dir, "posts.js", "exports.get = " + handler("'posts'") + ";");
+
+    request(app.listen())
+    .get("/posts")
+    .expect(200, "posts", done);
+  });
+
+  it("should keep the routes when loading files throws", function () {
+
+    var router = Router.fromDirectory(dir);
+    router.get("/extra", function *() {});
+
+    function paths() {
+
+      return router.stack().filter(function (entry) {
+        return entry.depth === 0;
+      }).map(function (entry) {
+        return entry.path;
+      });
+    }
+
+    write(dir, "posts.js", "exports.get = function *() {");
+    (function () {
+
+      router.rescan();
+    }).should.throw(SyntaxError);
+    should.deepEqual(paths(), ["/files", "/", "/users", "/extra"]);
+
+    write(dir, "posts.js", "exports.get = " + handler("'posts'") + ";");
+    router.rescan().should.be.true;
+    should.deepEqual(paths(), ["/files", "/", "/posts", "/users", "/extra"]);
+  });
+
+  it("should keep the other routes when rescanning", function () {
+
+    var router = Router.fromDirectory(dir);
+    router.get("/openapi.json", function *() {});
+
+    write(dir, "posts.js", "exports.get = " + handler("'posts'") + ";");
+    router.rescan().should.be.true;
+
+    should.deepEqual(router.stack().filter(function (entry) {
+      return entry.depth === 0;
+    }).map(function (entry) {
+      return entry.path;
+    }), ["/files", "/", "/posts", "/users", "/openapi.json"]);
+  });
+});
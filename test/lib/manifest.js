@@ -0,0 +1,170 @@
+"use strict";
+
+/**
+ * Manifest tests
+ */
+
+var koa = require("koa");
+var Router = require("../../lib/router");
+var request = require("supertest");
+var should = require("should");
+
+
+describe("router/lib/manifest", function () {
+
+  var handlers = {
+    text: "not middleware",
+    options: { not: "middleware" },
+    users: {
+      load: function *(id, next) {
+
+        this.user = { id: id };
+        yield *next;
+      },
+      show: function *() {
+
+        this.body = this.user;
+      }
+    },
+    "auth": function *(next) {
+
+      this.set("X-Auth", "checked");
+      yield *next;
+    },
+    admin: new Router().get("/", function *() {
+
+      this.body = "admin";
+    })
+  };
+
+  var manifest = {
+    params: { user: "users.load" },
+    routes: [
+      { name: "user", path: "/users/:user", methods: ["GET"], handler: ["auth", "users.show"] },
+      { name: "admin", path: "/admin", mount: "admin" },
+      { path: "/home", redirect: "/admin", status: 302 }
+    ]
+  };
+
+  it("should register the routes of the manifest", function (done) {
+
+    var app = koa();
+    app.use(Router(app))
+    .load(manifest, handlers);
+
+    should.deepEqual(app.router.stack().map(function (entry) {
+      return [entry.name, entry.methods.join(), entry.path];
+    }), [
+      ["user", "GET", "/users/:user"],
+      ["admin", "", "/admin"],
+      [null, "GET", "/admin"],
+      [null, methods().join(), "/home"]
+    ]);
+
+    var server = app.listen();
+    request(server)
+    .get("/users/3")
+    .expect("X-Auth", "checked")
+    .expect(200, { id: "3" }, function (err) {
+
+      if (err) {
+        return done(err);
+      }
+
+      request(server)
+      .get("/home")
+      .expect(302)
+      .expect("Location", "/admin", done);
+    });
+  });
+
+  it("should load JSON manifests", function () {
+
+    var router = new Router();
+    router.load(JSON.stringify({
+      routes: [{ name: "user", path: "/users/:id", methods: ["get"], handler: "users.show" }]
+    }), handlers);
+
+    router.url("user", 3).should.equal("/users/3");
+  });
+
+  it("should fail at load time with precise errors", function () {
+
+    function load(routes, message) {
+
+      var router = new Router();
+      router.get("home", "/", function *() {});
+      (function () {
+
+        router.load({ routes: routes }, handlers);
+      }).should.throw(message);
+
+      router.routes.should.have.property("length", 1);
+      router.params.should.be.empty;
+    }
+
+    load([
+      { name: "user", path: "/users/:id", methods: ["GET"], handler: "users.show" },
+      { path: "/posts", methods: ["GET"], handler: ["auth", "posts.index"] }
+    ], "manifest `routes[1].handler`: unknown handler `posts.index`");
+
+    load([
+      { path: "/a", methods: ["GET"], handler: "auth" },
+      { path: "/b", methods: ["GET"], handler: "text" }
+    ], "manifest `routes[1].handler`: handler `text` is not a function, router or application");
+
+    load([
+      { path: "/a", methods: ["GET"], handler: "auth" },
+      { path: "/b", methods: ["GET"], handler: "options" }
+    ], "manifest `routes[1].handler`: handler `options` is not a function, router or application");
+
+    load([
+      { name: "home", path: "/home", methods: ["GET"], handler: "auth" }
+    ], "manifest `routes[0].name`: duplicate route name `home`");
+
+    load([
+      { name: "a", path: "/a", methods: ["GET"], handler: "auth" },
+      { name: "a", path: "/b", methods: ["GET"], handler: "auth" }
+    ], "manifest `routes[1].name`: duplicate route name `a`");
+
+    load([
+      { path: "users", methods: ["GET"], handler: "auth" }
+    ], "manifest `routes[0].path`: must be a path starting with \"/\", not `users`");
+
+    load([
+      { path: "/users/:id<integer>", methods: ["GET"], handler: "auth" }
+    ], /^manifest `routes\[0\]\.path`: invalid path `\/users\/:id<integer>`: Unknown type `integer`/);
+
+    load([
+      { path: "/users", methods: ["FETCH"], handler: "auth" }
+    ], "manifest `routes[0].methods`: unknown method `FETCH`");
+
+    load([
+      { path: "/me", redirect: "user" }
+    ], "manifest `routes[0].redirect`: unknown route `user`");
+
+    load([
+      { name: "old", path: "/old", redirect: "/home" },
+      { path: "/older", redirect: "old" }
+    ], "manifest `routes[0].name`: redirects cannot be named");
+
+    var router = new Router();
+    (function () {
+
+      router.load({
+        params: { id: "text" },
+        routes: [{ path: "/users/:id", methods: ["GET"], handler: "users.show" }]
+      }, handlers);
+    }).should.throw("manifest `params.id`: handler `text` is not a function, router or application");
+
+    router.routes.should.be.empty;
+  });
+});
+
+
+function methods() {
+
+  return require("methods").map(function (method) {
+    return method.toUpperCase();
+  });
+}
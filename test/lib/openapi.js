@@ -0,0 +1,154 @@
+"use strict";
+
+/**
+ * OpenAPI tests
+ */
+
+var koa = require("koa");
+var Router = require("../../lib/router");
+var request = require("supertest");
+var should = require("should");
+
+
+describe("router/lib/openapi", function () {
+
+  it("should describe routes of mounted routers", function () {
+
+    var router = new Router();
+    var users = new Router();
+
+    users
+    .get("users.show", "/:id", {
+      openapi: {
+        summary: "Get a user",
+        tags: ["users"]
+      }
+    }, function *() {})
+    .put("/:id", function *() {});
+
+    router
+    .mount("/orgs/:org/users", users)
+    .post("/orgs", function *() {});
+
+    var doc = router.openapi({
+      info: {
+        title: "Orgs",
+        version: "2.0.0"
+      }
+    });
+
+    doc.should.have.property("openapi", "3.0.3");
+    should.deepEqual(doc.info, { title: "Orgs", version: "2.0.0" });
+    should.deepEqual(Object.keys(doc.paths), ["/orgs/{org}/users/{id}", "/orgs"]);
+
+    var item = doc.paths["/orgs/{org}/users/{id}"];
+    should.deepEqual(Object.keys(item), ["get", "put"]);
+    item.get.should.have.property("summary", "Get a user");
+    item.get.should.have.property("operationId", "users.show");
+    should.deepEqual(item.get.tags, ["users"]);
+    should.deepEqual(item.get.parameters.map(function (param) {
+      return [param.name, param.in, param.required];
+    }), [["org", "path", true], ["id", "path", true]]);
+
+    item.put.should.not.have.property("operationId");
+    item.put.responses.should.have.property("default");
+    doc.paths["/orgs"].post.should.not.have.property("parameters");
+  });
+
+  it("should keep parameters and responses given in metadata", function () {
+
+    var router = new Router();
+    router.get("/users/:id", {
+      openapi: {
+        parameters: [{
+          name: "id",
+          in: "path",
+          required: true,
+          schema: { type: "integer" }
+        }],
+        responses: {
+          "200": { description: "The user" }
+        }
+      }
+    }, function *() {});
+
+    var op = router.openapi().paths["/users/{id}"].get;
+    op.parameters.should.have.length(1);
+    op.parameters[0].schema.should.have.property("type", "integer");
+    should.deepEqual(Object.keys(op.responses), ["200"]);
+  });
+
+  it("should describe paths with and without optional params", function () {
+
+    var router = new Router();
+    router.get("users", "/users/:id?", function *() {});
+
+    var doc = router.openapi();
+    should.deepEqual(Object.keys(doc.paths), ["/users/{id}", "/users"]);
+    doc.paths["/users/{id}"].get.should.have.property("operationId", "users");
+    doc.paths["/users/{id}"].get.parameters.should.have.length(1);
+    doc.paths["/users"].get.should.not.have.property("operationId");
+    doc.paths["/users"].get.should.not.have.property("parameters");
+  });
+
+  it("should describe the schemas of typed params and custom patterns", function () {
+
+    var router = new Router();
+    var posts = new Router();
+    posts.get("/:slug<slug>/:lang([a-z]{2})", function *() {});
+    router
+    .mount("/users/:id<int>/posts", posts)
+    .get("/files/:file<uuid>", function *() {});
+
+    var doc = router.openapi();
+    should.deepEqual(doc.paths["/users/{id}/posts/{slug}/{lang}"].get.parameters.map(function (param) {
+      return param.schema;
+    }), [
+      { type: "integer" },
+      { type: "string", pattern: "^[a-z0-9]+[a-z0-9-]*$" },
+      { type: "string", pattern: "^(?:[a-z]{2})$" }
+    ]);
+    should.deepEqual(doc.paths["/files/{file}"].get.parameters[0].schema, { type: "string", format: "uuid" });
+  });
+
+  it("should leave out prefix mounts and RegExp routes", function () {
+
+    var router = new Router();
+    router
+    .mount("/static", function *() {})
+    .get(/^\/blog\/(\d+)$/, function *() {})
+    .all("/any", function *() {});
+
+    var doc = router.openapi();
+    should.deepEqual(Object.keys(doc.paths), ["/any"]);
+    should.deepEqual(Object.keys(doc.paths["/any"]).sort(),
+      ["delete", "get", "head", "options", "patch", "post", "put", "trace"]);
+  });
+
+  it("should be served from a route", function (done) {
+
+    var app = koa();
+    var router = new Router(app);
+    app.use(router.middleware());
+
+    app
+    .get("/openapi.json", function *() {
+
+      this.body = router.openapi();
+    })
+    .get("/users", function *() {});
+
+    request(app.listen())
+    .get("/openapi.json")
+    .expect(200, function (err, res) {
+
+      if (err) {
+        return done(err);
+      }
+
+      res.body.paths.should.have.property("/users");
+      res.body.paths.should.have.property("/openapi.json");
+      done();
+    });
+  });
+});
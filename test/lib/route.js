@@ -7,6 +7,7 @@
 var koa = require("koa");
 var Router = require("../../lib/router");
 var Route = require("../../lib/route");
+var types = require("../../lib/types");
 var methods = require("methods");
 var request = require("supertest");
 var should = require("should");
@@ -269,6 +270,111 @@ describe("router/lib/route", function() {
     });
   });
 
+  describe("Typed params", function () {
+
+    it("should match and convert typed params", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .get("/users/:id<int>", function *() {
+
+        this.body = { id: this.params.id, type: typeof this.params.id };
+      })
+      .get("/users/:slug<slug>", function *() {
+
+        this.body = { slug: this.params.slug };
+      });
+
+      var server = app.listen();
+      request(server)
+      .get("/users/42")
+      .expect(200, { id: 42, type: "number" }, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+        .get("/users/alex-smith")
+        .expect(200, { slug: "alex-smith" }, done);
+      });
+    });
+
+    it("should convert repeated params by segment", function () {
+
+      var route = new Route("/sum/:values<number>+", ["get"], [function *() {}]);
+
+      should.deepEqual(route.match("/sum/1/2.5").params.values, [1, 2.5]);
+      should.not.exist(route.match("/sum/1/a"));
+      route.url({ values: [1, 2] }).should.equal("/sum/1/2");
+    });
+
+    it("should fall through when the converter throws", function () {
+
+      var route = new Route("/at/:date<date>", ["get"], [function *() {}], null, {
+        types: {
+          date: {
+            pattern: "\\d{4}-\\d{2}-\\d{2}",
+            parse: function (value) {
+
+              var date = new Date(value);
+              if (isNaN(date)) {
+                throw new Error("Invalid date");
+              }
+
+              return date;
+            },
+            format: function (date) {
+              return date.toISOString().slice(0, 10);
+            }
+          }
+        }
+      });
+
+      route.match("/at/2015-01-14").params.date.getTime().should.equal(Date.UTC(2015, 0, 14));
+      should.not.exist(route.match("/at/2015-13-45"));
+      route.url({ date: new Date(Date.UTC(2015, 0, 14)) }).should.equal("/at/2015-01-14");
+    });
+
+    it("should keep the path template without the types", function () {
+
+      var route = new Route("/users/:id<uuid>", ["get"], [function *() {}], null, { prefix: "/v1" });
+
+      route.path.should.equal("/v1/users/:id");
+      should.exist(route.match("/v1/users/0b4c3bd2-3f5e-4c43-9a5e-6d0f0c2a9b1e"));
+      should.not.exist(route.match("/v1/users/3"));
+    });
+
+    it("should support registered types", function () {
+
+      Router.type("hex", {
+        pattern: "[0-9a-f]+",
+        parse: function (value) {
+          return parseInt(value, 16);
+        },
+        format: function (value) {
+          return value.toString(16);
+        }
+      });
+
+      try {
+        var route = new Route("/colors/:rgb<hex>", ["get"], [function *() {}]);
+        route.match("/colors/ff00ff").params.rgb.should.equal(0xff00ff);
+        route.url(0xff00ff).should.equal("/colors/ff00ff");
+      } finally {
+        delete types.hex;
+      }
+    });
+
+    it("should throw for unknown types", function () {
+
+      (function () {
+
+        new Route("/users/:id<integer>", ["get"], [function *() {}], "user");
+      }).should.throw("Unknown type `integer` of param `id` in route `user`");
+    });
+  });
+
   describe("Route#param()", function () {
 
     it("should compose middleware for param fn", function (done) {
@@ -389,5 +495,57 @@ describe("router/lib/route", function() {
       route.url("programming", "how to node")
       .should.equal("/programming/how%20to%20node");
     });
+
+    it("should support optional, repeated and custom pattern params", function () {
+
+      var files = new Route("/files/:id(\\d+)/:path*", ["get"], [function *() {}]);
+      var users = new Route("/users/:id/:tab?", ["get"], [function *() {}]);
+
+      files.url({ id: 3, path: "a/b c" }).should.equal("/files/3/a/b%20c");
+      files.url({ id: 3, path: ["a", "b"] }).should.equal("/files/3/a/b");
+      files.url({ id: 3 }).should.equal("/files/3");
+      files.url(3, "a").should.equal("/files/3/a");
+      users.url({ id: 3 }).should.equal("/users/3");
+      users.url(3, "posts").should.equal("/users/3/posts");
+    });
+
+    it("should throw when params are missing or do not match", function () {
+
+      var route = new Route("/users/:id(\\d+)/:tab", ["get"], [function *() {}], "user");
+
+      (function () {
+
+        route.url({ id: 3 });
+      }).should.throw("Cannot generate URL for route `user`: Expected \"tab\" to be defined");
+
+      (function () {
+
+        route.url({ id: "abc", tab: "posts" });
+      }).should.throw(/^Cannot generate URL for route `user`: Expected "id" to match/);
+
+      (function () {
+
+        new Route(/^\/users\/(\d+)$/, ["get"], [function *() {}]).url(3);
+      }).should.throw(/^Cannot generate URL for RegExp route/);
+    });
+
+    it("should add other params as query string", function () {
+
+      var route = new Route("/users/:id", ["get"], [function *() {}]);
+
+      route.url({ id: 3, tab: "posts & comments", page: 2, empty: null })
+      .should.equal("/users/3?tab=posts%20%26%20comments&page=2");
+    });
+
+    it("should generate absolute URL with origin", function () {
+
+      var route = new Route("/users/:id", ["get"], [function *() {}], null, {
+        origin: "https://example.com/"
+      });
+
+      route.url({ id: 3 }).should.equal("https://example.com/users/3");
+      route.url(3, { origin: "http://localhost:3000" }).should.equal("http://localhost:3000/users/3");
+      route.url(3, { origin: "" }).should.equal("/users/3");
+    });
   });
-});
\ No newline at end of file
+});
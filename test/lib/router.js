@@ -336,6 +336,58 @@ describe("router/lib/router", function () {
     });
   });
 
+  it("should expose and restore the matched routes when exit routing", function (done) {
+
+    var app = koa();
+    var users = new Router();
+    var counter = 0;
+    app.use(function *(next) {
+
+      yield *next;
+      should.not.exist(this.route);
+      should.not.exist(this.routePath);
+      should.not.exist(this.matchedRoutes);
+      counter++;
+    });
+
+    var router = new Router(app);
+    app.use(router.middleware())
+    .mount("/v1", function *(next) {
+
+      this.route.should.equal(router.routes[0]);
+      this.routePath.should.equal("/v1");
+      this.matchedRoutes.should.eql([router.routes[0]]);
+      yield *next;
+      this.route.should.equal(router.routes[0]);
+      this.routePath.should.equal("/v1");
+      this.matchedRoutes.should.eql([router.routes[0]]);
+      counter++;
+    }, users);
+
+    users.get("/users/:id", function *(next) {
+
+      this.route.should.equal(users.routes[0]);
+      this.routePath.should.equal("/v1/users/:id");
+      this.matchedRoutes.should.eql([router.routes[0], users.routes[0]]);
+      this.status = 204;
+      yield *next;
+      this.route.should.equal(users.routes[0]);
+      this.routePath.should.equal("/v1/users/:id");
+      counter++;
+    });
+
+    request(app.listen())
+    .get("/v1/users/abc")
+    .expect(204, function (err) {
+
+      if (err) {
+        return done(err);
+      }
+      counter.should.equal(3);
+      done();
+    });
+  });
+
   describe("Router#[verb]()", function () {
 
     it("should register route specific to HTTP verb", function () {
@@ -509,244 +561,1163 @@ describe("router/lib/router", function () {
     });
   });
 
-  describe("Router#register()", function () {
-
-    it("should register new routes", function () {
-
-      var router = new Router();
-      router.should.have.property("register");
-      router.register.should.be.type("function");
+  describe("Router#prefix()", function () {
 
-      var route = router.register("/", ["GET", "POST"], function *() {});
-      router.routes.should.be.an.instanceOf(Array);
-      router.routes.should.have.property("length", 1);
-      router.routes[0].should.have.property("path", "/");
-    });
-  });
+    it("should prefix the paths of routes", function (done) {
 
-  describe("Router#redirect()", function () {
+      var app = koa();
+      var router = new Router({ prefix: "/api/v1" });
+      router.get("user", "/users/:id", function *() {
 
-    it("should register redirect routes", function (done) {
+        this.body = this.params.id;
+      });
 
-      var app = koa();
-      var router = new Router(app);
-      router.should.have.property("redirect");
-      router.redirect.should.be.type("function");
-      router.redirect("/source", "/destination", 302);
       app.use(router.middleware());
-      router.routes.should.have.property("length", 1);
-      router.routes[0].should.have.property("path", "/source");
+      router.url("user", 3).should.equal("/api/v1/users/3");
 
-      request(app.listen())
-      .get("/source")
-      .expect(302, function (err, res) {
+      var server = app.listen();
+      request(server)
+      .get("/api/v1/users/3")
+      .expect(200, "3", function (err) {
 
         if (err) {
           return done(err);
         }
 
-        res.header.should.have.property("location", "/destination");
-        done();
+        request(server)
+        .get("/users/3")
+        .expect(404, done);
       });
     });
 
-    it("should redirect using route names", function (done) {
+    it("should change the prefix of registered routes", function (done) {
 
       var app = koa();
-      var router = new Router(app);
+      var router = new Router();
+      router
+      .param("version", function *(version, next) {
+
+        this.version = version;
+        yield *next;
+      })
+      .get("/", function *() {
+
+        this.body = this.version;
+      });
+
       app.use(router.middleware());
-      app.get("home", "/", function *() {});
-      app.get("sign-up-form", "/sign-up-form", function *() {});
-      app.redirect("home", "sign-up-form");
 
-      request(app.listen())
-      .post("/")
-      .expect(301, function (err, res) {
+      var server = app.listen();
+      request(server)
+      .get("/")
+      .expect(204, function (err) {
 
         if (err) {
           return done(err);
         }
 
-        res.header.should.have.property("location", "/sign-up-form");
-        done();
+        router.prefix("/api/:version");
+        router.stack()[0].path.should.equal("/api/:version");
+
+        request(server)
+        .get("/api/v2")
+        .expect(200, "v2", function (err) {
+
+          if (err) {
+            return done(err);
+          }
+
+          request(server)
+          .get("/")
+          .expect(404, done);
+        });
       });
     });
   });
 
-  describe("Router#url()", function () {
+  describe("Router#use()", function () {
 
-    it("should generate URL for given route", function () {
+    it("should run middleware for requests matching routes of the router", function (done) {
 
       var app = koa();
-      app.use(Router(app));
-      app.get("books", "/:category/:title", function *(next) {
+      var calls = [];
+      var router = new Router();
+      router
+      .use(function *(next) {
 
-        this.status = 204;
-      });
+        calls.push(this.path);
+        yield *next;
+      })
+      .get("/users", function *() {
 
-      var url = app.url("books", {
-        category: "programming",
-        title: "how to node"
+        this.body = calls;
       });
-      url.should.equal("/programming/how%20to%20node");
 
-      url = app.url("books", "programming", "how to node");
-      url.should.equal("/programming/how%20to%20node");
-    });
+      app.use(router.middleware());
 
-    it("should return error for unnamed routes", function () {
+      var server = app.listen();
+      request(server)
+      .get("/posts")
+      .expect(404, function (err) {
 
-      var app = koa();
-      app.use(Router(app));
-      app.get("/:category/:title", function *(next) {
+        if (err) {
+          return done(err);
+        }
 
-        this.status = 204;
+        request(server)
+        .get("/users")
+        .expect(200, ["/users"], done);
       });
-
-      app.url("books", {
-        category: "programming",
-        title: "how to node"
-      }).should.be.an.instanceOf(Error);
     });
-  });
-
-  describe("Router#param()", function () {
 
-    it("should run parameter middleware", function (done) {
+    it("should not run middleware when no route is called", function (done) {
 
       var app = koa();
-      app.use(Router(app))
-      .param("user", function *(id, next) {
-
-        this.state.user = {
-          name: "alex",
-          id: id
-        };
+      var calls = 0;
+      var router = new Router();
+      router
+      .use(function *(next) {
 
-        if (!id) {
-          this.status = 404;
-          return;
-        }
+        calls++;
         yield *next;
       })
-      .get("/users/:user/:action", function *(next) {
+      .get("/users", function *() {
 
-        this.body = this.state.user;
+        this.body = "users";
       })
-      .param("action", function *(action, next) {
-
-        if (!action) {
-          return this.status = 404;
-        }
+      .post("/posts", function *() {});
 
-        this.state.user.action = action;
-        yield *next;
-      });
+      app.use(router.middleware());
 
-      request(app.listen())
-      .get("/users/3/a")
-      .expect(200)
-      .end(function (err, res) {
+      var server = app.listen();
+      request(server)
+      .post("/users")
+      .expect(405, function (err) {
 
         if (err) {
           return done(err);
         }
 
-        res.should.have.property("body");
-        res.body.should.have.property("name", "alex");
-        res.body.should.have.property("id", "3");
-        res.body.should.have.property("action", "a");
-        done();
+        request(server)
+        .options("/users")
+        .expect(204, function (err) {
+
+          if (err) {
+            return done(err);
+          }
+
+          calls.should.equal(0);
+          done();
+        });
       });
     });
 
-    it("should run parameter middleware in order of URL appearance", function (done) {
+    it("should mount middleware with a path", function (done) {
 
       var app = koa();
-      var orders = [];
+      var router = new Router();
+      router.use("/users", function *() {
 
-      app.use(Router(app))
-      .param("user", function *(id, next) {
+        this.status = 204;
+      });
 
-        this.state.user = {
-          name: "alex",
-          id: id
-        };
+      app.use(router.middleware());
+      router.routes[0].asPrefix.should.be.true;
 
-        if (!id) {
-          this.status = 404;
-          return;
-        }
+      request(app.listen())
+      .get("/users/3")
+      .expect(204, done);
+    });
 
-        orders.push(2);
+    it("should throw when middleware is not a function", function () {
+
+      (function () {
+
+        new Router().use(1);
+      }).should.throw("use: `middleware` must be a function, not `number`");
+    });
+  });
+
+  describe("Router#notFound()", function () {
+
+    it("should handle paths inside the mount matching no route", function (done) {
+
+      var app = koa();
+      var api = new Router();
+      var authorized = false;
+
+      api
+      .mount("/", function *(next) {
+
+        authorized = true;
         yield *next;
       })
-      .param("first", function *(id, next) {
+      .get("/users", function *() {
 
-        should.not.exist(this.state.user);
-        if (!id) {
-          this.status = 404;
-          return;
-        }
+        this.body = ["alex"];
+      })
+      .notFound(function *(next) {
 
-        orders.push(1);
-        yield *next;
+        authorized.should.be.true;
+        this.status = 404;
+        this.body = { error: "Not Found" };
+      });
+
+      app.use(Router(app)).mount("/api", api);
+
+      request(app.listen())
+      .get("/api/posts")
+      .expect(404, { error: "Not Found" }, done);
+    });
+
+    it("should not handle matched or other paths", function (done) {
+
+      var app = koa();
+      var api = new Router();
+
+      api
+      .get("/users", function *() {
+
+        this.body = ["alex"];
       })
-      .mount("/:first/users/:user", function *(next) {
+      .notFound(function *(next) {
 
-        should.exist(this.state.user);
-        should.not.exist(this.state.user.orders);
+        this.status = 404;
+        this.body = { error: "Not Found" };
+      });
 
-        orders.push(3);
+      app.use(Router(app)).mount("/api", api);
+      app.use(function *() {
 
-        this.state.user.orders = orders.reduce(function (str, order) {
-          return str + order;
-        }, "");
-        this.body = this.state.user;
+        this.status = 404;
+        this.body = "<p>Not Found</p>";
       });
 
-      request(app.listen())
-      .get("/id1/users/id2")
-      .expect(200)
-      .end(function (err, res) {
+      var server = app.listen();
+      request(server)
+      .get("/api/users")
+      .expect(200, ["alex"], function (err) {
 
         if (err) {
           return done(err);
         }
 
-        res.should.have.property("body");
-        res.body.should.have.property("id", "id2");
-        res.body.should.have.property("name", "alex");
-        res.body.should.have.property("orders", "123");
-        should.deepEqual(orders, [1, 2, 3]);
-        done();
+        request(server)
+        .get("/posts")
+        .expect(404, "<p>Not Found</p>", done);
       });
     });
-  });
 
-  describe("Router#opts", function () {
-
-    it("should respond with 200", function (done) {
+    it("should be able to pass the request on", function (done) {
 
       var app = koa();
       app.use(Router(app))
-      .get("/info", function *() {
-        this.body = "hello";
-      })
-      .mount("/info2", function *() {
-        this.body = "hello2";
+      .get("/users", function *() {})
+      .notFound(function *(next) {
+
+        this.set("X-Not-Found", "true");
+        yield *next;
+      });
+
+      app.use(function *() {
+
+        this.body = "downstream";
       });
 
       request(app.listen())
-      .get("/info")
-      .expect(200, function (err, res) {
+      .get("/posts")
+      .expect("X-Not-Found", "true")
+      .expect(200, "downstream", done);
+    });
+  });
 
-        if (err) {
-          return done(err);
-        }
+  describe("Router#register()", function () {
 
-        res.text.should.equal("hello");
-        
+    it("should register new routes", function () {
+
+      var router = new Router();
+      router.should.have.property("register");
+      router.register.should.be.type("function");
+
+      var route = router.register("/", ["GET", "POST"], function *() {});
+      router.routes.should.be.an.instanceOf(Array);
+      router.routes.should.have.property("length", 1);
+      router.routes[0].should.have.property("path", "/");
+    });
+  });
+
+  describe("Router#route()", function () {
+
+    it("should build one route with middleware per method", function (done) {
+
+      var app = koa();
+      var loads = [];
+      var router = new Router();
+      router
+      .param("id", function *(id, next) {
+
+        loads.push(id);
+        yield *next;
+      })
+      .route("user", "/users/:id")
+      .get(function *() {
+
+        this.body = "show " + this.params.id;
+      })
+      .put(function *(next) {
+
+        this.status = 204;
+        yield *next;
+      }, function *() {
+
+        this.set("X-Updated", this.params.id);
+      });
+
+      app.use(router.middleware());
+
+      var server = app.listen();
+      request(server)
+      .get("/users/3")
+      .expect(200, "show 3", function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+        .put("/users/4")
+        .expect("X-Updated", "4")
+        .expect(204, function (err) {
+
+          if (err) {
+            return done(err);
+          }
+
+          should.deepEqual(loads, ["3", "4"]);
+          done();
+        });
+      });
+    });
+
+    it("should respond 405 with the methods of the route", function (done) {
+
+      var app = koa();
+      var router = new Router();
+      router.route("/users/:id")
+      .get(function *() {})
+      .put(function *() {});
+
+      router.post("/users", function *() {
+
+        this.status = 201;
+      });
+
+      app.use(router.middleware());
+
+      request(app.listen())
+      .post("/users/3")
+      .expect("Allow", "GET, PUT")
+      .expect(405, done);
+    });
+
+    it("should handle HEAD requests with GET middleware", function (done) {
+
+      var app = koa();
+      var router = new Router();
+      router.route("/users/:id")
+      .get(function *() {
+
+        this.body = "show " + this.params.id;
+      });
+
+      app.use(router.middleware());
+
+      request(app.listen())
+      .head("/users/3")
+      .expect(200, done);
+    });
+
+    it("should still lookup routes by name", function () {
+
+      var router = new Router();
+      var route = router.route("user", "/users/:id").get(function *() {});
+
+      router.route("user").should.equal(route);
+      should.not.exist(router.route("users"));
+      router.routes.should.have.property("length", 1);
+      router.url("user", 3).should.equal("/users/3");
+      should.deepEqual(router.stack()[0].methods, ["GET"]);
+    });
+  });
+
+  describe("Router#resource()", function () {
+
+    function action(name) {
+
+      return function *() {
+
+        this.body = {
+          action: name,
+          params: Object.assign({}, this.params)
+        };
+      };
+    }
+
+    function controller(names) {
+
+      var ctrl = {};
+      names.forEach(function (name) {
+        ctrl[name] = action(name);
+      });
+
+      return ctrl;
+    }
+
+    var all = ["index", "new", "create", "show", "edit", "update", "destroy"];
+
+    it("should register routes of the resource actions", function () {
+
+      var router = new Router();
+      router.resource("users", controller(all));
+
+      should.deepEqual(router.stack().map(function (entry) {
+        return [entry.name, entry.methods.join(), entry.path];
+      }), [
+        ["users.index", "GET", "/users"],
+        ["users.new", "GET", "/users/new"],
+        ["users.create", "POST", "/users"],
+        ["users.show", "GET", "/users/:id"],
+        ["users.edit", "GET", "/users/:id/edit"],
+        ["users.update", "PUT,PATCH", "/users/:id"],
+        ["users.destroy", "DELETE", "/users/:id"]
+      ]);
+
+      router.url("users.show", { id: 3 }).should.equal("/users/3");
+    });
+
+    it("should route requests to the actions", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .resource("users", controller(all));
+
+      var server = app.listen();
+      request(server)
+      .get("/users/new")
+      .expect(200, { action: "new", params: {} }, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+        .patch("/users/3")
+        .expect(200, { action: "update", params: { id: "3" } }, done);
+      });
+    });
+
+    it("should filter actions with only and except", function () {
+
+      var router = new Router();
+      router
+      .resource("users", controller(all), { only: ["index", "show", "edit"], except: ["edit"] })
+      .resource("posts", controller(["index", "show"]));
+
+      should.deepEqual(router.stack().map(function (entry) {
+        return entry.name;
+      }), ["users.index", "users.show", "posts.index", "posts.show"]);
+    });
+
+    it("should nest resources with a custom id param", function (done) {
+
+      var app = koa();
+      var loaded = [];
+      app.use(Router(app))
+      .param("user", function *(user, next) {
+
+        loaded.push(user);
+        yield *next;
+      })
+      .resource("users", controller(["show"]), { id: "user" })
+      .resource("users.posts", controller(["index", "show"]));
+
+      app.router.url("users.posts.show", { user: 3, id: 1 }).should.equal("/users/3/posts/1");
+
+      request(app.listen())
+      .get("/users/3/posts/1")
+      .expect(200, { action: "show", params: { user: "3", id: "1" } }, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        should.deepEqual(loaded, ["3"]);
+        done();
+      });
+    });
+
+    it("should nest resources with the default id params", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .resource("users", controller(["show"]))
+      .resource("users.posts", controller(["index", "show"]))
+      .resource("users.posts.comments", controller(["show"]));
+
+      app.router.url("users.posts.show", { users_id: 3, id: 1 }).should.equal("/users/3/posts/1");
+      app.router.url("users.posts.comments.show", { users_id: 3, posts_id: 1, id: 2 })
+      .should.equal("/users/3/posts/1/comments/2");
+
+      request(app.listen())
+      .get("/users/3/posts/1")
+      .expect(200, { action: "show", params: { users_id: "3", id: "1" } }, done);
+    });
+
+    it("should throw when the parent resource is missing or has the same id param", function () {
+
+      var router = new Router();
+
+      (function () {
+
+        router.resource("users.posts", {});
+      }).should.throw("resource `users.posts`: parent resource is not registered");
+
+      (function () {
+
+        router.resource("users", {}, { id: "id" }).resource("users.posts", {});
+      }).should.throw("resource `users.posts`: id param `id` is the id param of the parent");
+
+      (function () {
+
+        router.resource("posts", {}).resource("posts.comments", {}, { id: "id" });
+      }).should.throw("resource `posts.comments`: id param `id` is the id param of the parent");
+    });
+  });
+
+  describe("Router#unregister(), Router#replace() and Router#clear()", function () {
+
+    it("should remove routes and their methods", function (done) {
+
+      var app = koa();
+      var router = new Router();
+      router
+      .get("user", "/users/:id", function *() {
+
+        this.body = "v1";
+      })
+      .put("update", "/users/:id", function *() {
+
+        this.status = 204;
+      });
+
+      var routes = router.routes;
+      app.use(router.middleware());
+
+      var server = app.listen();
+      request(server)
+      .put("/users/3")
+      .expect(204, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        router.unregister("update");
+        router.routes.should.not.equal(routes);
+        routes.should.have.property("length", 2);
+        router.methods.should.eql(["OPTIONS", "GET"]);
+
+        request(server)
+        .put("/users/3")
+        .expect(501, function (err) {
+
+          if (err) {
+            return done(err);
+          }
+
+          router.unregister(router.routes[0]);
+          request(server)
+          .get("/users/3")
+          .expect(404, done);
+        });
+      });
+    });
+
+    it("should replace the middleware of routes", function (done) {
+
+      var app = koa();
+      var router = new Router();
+      router
+      .param("id", function *(id, next) {
+
+        this.set("X-Id", id);
+        yield *next;
+      })
+      .get("user", "/users/:id", function *() {
+
+        this.body = "v1";
+      });
+
+      app.use(router.middleware());
+
+      var route = router.replace("user", function *() {
+
+        this.body = "v2";
+      });
+
+      router.routes[0].should.equal(route);
+      route.methods.should.eql(["GET"]);
+      router.url("user", 3).should.equal("/users/3");
+
+      request(app.listen())
+      .get("/users/3")
+      .expect("X-Id", "3")
+      .expect(200, "v2", done);
+    });
+
+    it("should let requests in flight finish with their routes", function (done) {
+
+      var app = koa();
+      var router = new Router();
+      router.get("/slow", function *(next) {
+
+        router.clear();
+        yield *next;
+      }, function *() {
+
+        this.body = "done";
+      });
+
+      app.use(router.middleware());
+
+      var server = app.listen();
+      request(server)
+      .get("/slow")
+      .expect(200, "done", function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        router.routes.should.have.property("length", 0);
+        router.methods.should.eql(["OPTIONS"]);
+        request(server)
+        .get("/slow")
+        .expect(404, done);
+      });
+    });
+
+    it("should throw for unknown routes", function () {
+
+      var router = new Router();
+      router.get("user", "/users/:id", function *() {});
+
+      (function () {
+
+        router.unregister("users");
+      }).should.throw("unregister: no route `users`");
+
+      (function () {
+
+        router.replace("users", function *() {});
+      }).should.throw("replace: no route `users`");
+    });
+  });
+
+  describe("Router#redirect()", function () {
+
+    it("should register redirect routes", function (done) {
+
+      var app = koa();
+      var router = new Router(app);
+      router.should.have.property("redirect");
+      router.redirect.should.be.type("function");
+      router.redirect("/source", "/destination", 302);
+      app.use(router.middleware());
+      router.routes.should.have.property("length", 1);
+      router.routes[0].should.have.property("path", "/source");
+
+      request(app.listen())
+      .get("/source")
+      .expect(302, function (err, res) {
+
+        if (err) {
+          return done(err);
+        }
+
+        res.header.should.have.property("location", "/destination");
+        done();
+      });
+    });
+
+    it("should redirect using route names", function (done) {
+
+      var app = koa();
+      var router = new Router(app);
+      app.use(router.middleware());
+      app.get("home", "/", function *() {});
+      app.get("sign-up-form", "/sign-up-form", function *() {});
+      app.redirect("home", "sign-up-form");
+
+      request(app.listen())
+      .post("/")
+      .expect(301, function (err, res) {
+
+        if (err) {
+          return done(err);
+        }
+
+        res.header.should.have.property("location", "/sign-up-form");
+        done();
+      });
+    });
+  });
+
+  describe("Router#url()", function () {
+
+    it("should generate URL for given route", function () {
+
+      var app = koa();
+      app.use(Router(app));
+      app.get("books", "/:category/:title", function *(next) {
+
+        this.status = 204;
+      });
+
+      var url = app.url("books", {
+        category: "programming",
+        title: "how to node"
+      });
+      url.should.equal("/programming/how%20to%20node");
+
+      url = app.url("books", "programming", "how to node");
+      url.should.equal("/programming/how%20to%20node");
+    });
+
+    it("should generate URL for routes in mounted routers", function () {
+
+      var app = koa();
+      var router = new Router(app);
+      var v1 = new Router();
+      var users = new Router();
+
+      users.get("show", "/users/:id", function *() {});
+      v1.mount("orgs", "/orgs/:org", users);
+      app.mount("v1", "/v1", v1);
+
+      app.url("v1.orgs.show", {
+        org: "koa js",
+        id: 3
+      }).should.equal("/v1/orgs/koa%20js/users/3");
+
+      app.url("v1.orgs.show", "koa", 3).should.equal("/v1/orgs/koa/users/3");
+      app.url("show", { org: "koa", id: 3 }).should.be.an.instanceOf(Error);
+    });
+
+    it("should resolve names through unnamed mounts", function () {
+
+      var app = koa();
+      var router = new Router(app);
+      var api = new Router();
+      var a = koa();
+
+      api.get("users.show", "/users/:id", function *() {});
+      a.use(Router(a)).get("home", "/", function *() {});
+
+      app.mount("/api", api).mount("/a/", a);
+
+      app.url("users.show", { id: 3 }).should.equal("/api/users/3");
+      app.url("home").should.equal("/a/");
+    });
+
+    it("should add query string and origin to URL of mounted routes", function () {
+
+      var router = new Router({ origin: "https://example.com" });
+      var users = new Router();
+
+      users.get("show", "/users/:id", function *() {});
+      router.mount("orgs", "/orgs/:org", users);
+
+      router.url("orgs.show", { org: "koa", id: 3, tab: "posts" })
+      .should.equal("https://example.com/orgs/koa/users/3?tab=posts");
+
+      router.url("orgs.show", "koa", 3, { origin: "" })
+      .should.equal("/orgs/koa/users/3");
+    });
+
+    it("should return error for unnamed routes", function () {
+
+      var app = koa();
+      app.use(Router(app));
+      app.get("/:category/:title", function *(next) {
+
+        this.status = 204;
+      });
+
+      app.url("books", {
+        category: "programming",
+        title: "how to node"
+      }).should.be.an.instanceOf(Error);
+    });
+  });
+
+  describe("Router#stack()", function () {
+
+    it("should list routes of mounted routers and applications", function () {
+
+      var app = koa();
+      var router = new Router(app, { name: "root" });
+      var users = new Router({ name: "users" });
+      var admin = koa();
+      var adminRouter = new Router(admin);
+
+      users.get("show", "/:id", function *() {});
+      users.mount("/:id/posts", function *() {});
+      admin.use(adminRouter.middleware());
+      adminRouter["delete"]("/cache", function *() {});
+
+      app.get("home", "/", function *() {})
+      .mount("/orgs/:org/users", users)
+      .mount("/admin/", admin);
+
+      var stack = router.stack();
+      should.deepEqual(stack.map(function (entry) {
+        return [entry.path, entry.methods, entry.params, entry.prefix, entry.depth];
+      }), [
+        ["/", ["GET"], [], false, 0],
+        ["/orgs/:org/users", [], ["org"], true, 0],
+        ["/orgs/:org/users/:id", ["GET"], ["org", "id"], false, 1],
+        ["/orgs/:org/users/:id/posts", [], ["org", "id"], true, 1],
+        ["/admin/", [], [], true, 0],
+        ["/admin/cache", ["DELETE"], [], false, 1]
+      ]);
+
+      stack[0].should.have.property("name", "home");
+      stack[0].router.should.equal(router);
+      stack[2].should.have.property("name", "show");
+      stack[2].router.should.equal(users);
+      stack[5].router.should.equal(adminRouter);
+    });
+
+    it("should be serializable", function () {
+
+      var router = new Router({ name: "api" });
+      router.mount("/v1", new Router().get("/users", function *() {}));
+
+      should.deepEqual(JSON.parse(JSON.stringify(router.stack())), [{
+        name: null,
+        path: "/v1",
+        methods: [],
+        params: [],
+        host: null,
+        prefix: true,
+        regexp: false,
+        depth: 0,
+        router: "api",
+        validate: null,
+        openapi: null,
+        meta: {},
+        schemas: {}
+      }, {
+        name: null,
+        path: "/v1/users",
+        methods: ["GET"],
+        params: [],
+        host: null,
+        prefix: false,
+        regexp: false,
+        depth: 1,
+        router: null,
+        validate: null,
+        openapi: null,
+        meta: {},
+        schemas: {}
+      }]);
+    });
+  });
+
+  describe("Route metadata", function () {
+
+    it("should expose the metadata of routes, inherited from mounting routes", function (done) {
+
+      var app = koa();
+      var admin = new Router();
+      admin.get("/users", { meta: { audit: true, rateLimit: 10 } }, function *() {
+
+        this.body = this.meta;
+      });
+
+      app.use(Router(app))
+      .mount("/admin", { meta: { roles: ["admin"], rateLimit: 100 } }, function *(next) {
+
+        this.meta.roles.should.eql(["admin"]);
+        yield *next;
+        should.deepEqual(this.meta, { roles: ["admin"], rateLimit: 100 });
+      }, admin);
+
+      app.router.stack()[1].meta.should.eql({ roles: ["admin"], rateLimit: 10, audit: true });
+
+      request(app.listen())
+      .get("/admin/users")
+      .expect(200, { roles: ["admin"], rateLimit: 10, audit: true }, done);
+    });
+
+    it("should expose the metadata to router middleware", function (done) {
+
+      var app = koa();
+      var router = new Router();
+      router
+      .use(function *(next) {
+
+        if (this.meta.roles && this.meta.roles.indexOf(this.get("X-Role")) < 0) {
+          this.throw(403);
+        }
+        this.route.should.equal(router.routes[0]);
+        this.matchedRoutes.should.eql([router.routes[0]]);
+        yield *next;
+      })
+      .get("/admin", { meta: { roles: ["admin"] } }, function *() {
+
+        this.matchedRoutes.should.have.length(1);
+        this.body = "admin";
+      });
+
+      app.use(router.middleware());
+
+      var server = app.listen();
+      request(server)
+      .get("/admin")
+      .expect(403, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+        .get("/admin")
+        .set("X-Role", "admin")
+        .expect(200, "admin", done);
+      });
+    });
+
+    it("should default to empty metadata", function () {
+
+      var router = new Router();
+      router.get("/", function *() {});
+
+      router.routes[0].meta.should.eql({});
+    });
+  });
+
+  describe("Router#param()", function () {
+
+    it("should run parameter middleware", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .param("user", function *(id, next) {
+
+        this.state.user = {
+          name: "alex",
+          id: id
+        };
+
+        if (!id) {
+          this.status = 404;
+          return;
+        }
+        yield *next;
+      })
+      .get("/users/:user/:action", function *(next) {
+
+        this.body = this.state.user;
+      })
+      .param("action", function *(action, next) {
+
+        if (!action) {
+          return this.status = 404;
+        }
+
+        this.state.user.action = action;
+        yield *next;
+      });
+
+      request(app.listen())
+      .get("/users/3/a")
+      .expect(200)
+      .end(function (err, res) {
+
+        if (err) {
+          return done(err);
+        }
+
+        res.should.have.property("body");
+        res.body.should.have.property("name", "alex");
+        res.body.should.have.property("id", "3");
+        res.body.should.have.property("action", "a");
+        done();
+      });
+    });
+
+    it("should run parameter middleware in order of URL appearance", function (done) {
+
+      var app = koa();
+      var orders = [];
+
+      app.use(Router(app))
+      .param("user", function *(id, next) {
+
+        this.state.user = {
+          name: "alex",
+          id: id
+        };
+
+        if (!id) {
+          this.status = 404;
+          return;
+        }
+
+        orders.push(2);
+        yield *next;
+      })
+      .param("first", function *(id, next) {
+
+        should.not.exist(this.state.user);
+        if (!id) {
+          this.status = 404;
+          return;
+        }
+
+        orders.push(1);
+        yield *next;
+      })
+      .mount("/:first/users/:user", function *(next) {
+
+        should.exist(this.state.user);
+        should.not.exist(this.state.user.orders);
+
+        orders.push(3);
+
+        this.state.user.orders = orders.reduce(function (str, order) {
+          return str + order;
+        }, "");
+        this.body = this.state.user;
+      });
+
+      request(app.listen())
+      .get("/id1/users/id2")
+      .expect(200)
+      .end(function (err, res) {
+
+        if (err) {
+          return done(err);
+        }
+
+        res.should.have.property("body");
+        res.body.should.have.property("id", "id2");
+        res.body.should.have.property("name", "alex");
+        res.body.should.have.property("orders", "123");
+        should.deepEqual(orders, [1, 2, 3]);
+        done();
+      });
+    });
+
+    it("should run parameter middleware once per request and value", function (done) {
+
+      var app = koa();
+      var loads = [];
+      app.use(Router(app))
+      .param("user", function *(id, next) {
+
+        loads.push(id);
+        yield *next;
+      })
+      .mount("/users/:user", function *(next) {
+
+        yield *next;
+      })
+      .get("/users/:user", function *() {
+
+        this.body = loads;
+      });
+
+      request(app.listen())
+      .get("/users/3")
+      .expect(200, ["3"], done);
+    });
+
+    it("should run parameter middleware for params captured by parent mounts", function (done) {
+
+      var app = koa();
+      var orders = [];
+      var posts = new Router();
+      posts
+      .param("user", function *(id, next) {
+
+        orders.push("user " + id);
+        yield *next;
+      })
+      .param("post", function *(id, next) {
+
+        orders.push("post " + id);
+        yield *next;
+      })
+      .get("/posts/:post", function *() {
+
+        this.body = orders;
+      });
+
+      app.use(Router(app))
+      .mount("/users/:user", posts);
+
+      var server = app.listen();
+      request(server)
+      .get("/users/3/posts/1")
+      .expect(200, ["user 3", "post 1"], function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        orders = [];
+        request(server)
+        .get("/users/3/comments")
+        .expect(404, function (err) {
+
+          if (err) {
+            return done(err);
+          }
+
+          orders.should.have.property("length", 0);
+          done();
+        });
+      });
+    });
+  });
+
+  describe("Router#opts", function () {
+
+    it("should respond with 200", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .get("/info", function *() {
+        this.body = "hello";
+      })
+      .mount("/info2", function *() {
+        this.body = "hello2";
+      });
+
+      request(app.listen())
+      .get("/info")
+      .expect(200, function (err, res) {
+
+        if (err) {
+          return done(err);
+        }
+
+        res.text.should.equal("hello");
+        
         request(app.listen())
         .get("/info2/")
         .expect(200, function (err, res) {
@@ -755,135 +1726,1095 @@ describe("router/lib/router", function () {
             return done(err);
           }
 
-          res.text.should.equal("hello2");
-          done();
+          res.text.should.equal("hello2");
+          done();
+        });
+      });
+    });
+
+    it("should unable strict mode in default except mounting", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .get("/info/", function *(next) {
+        this.body = (this.body || "" ) + "hello";
+        yield *next;
+      })
+      .mount("/info/", function *(next) {
+        this.body = (this.body || "" ) + "hello2";
+        yield *next;
+      });
+
+      request(app.listen())
+      .get("/info")
+      .expect(200, function (err, res) {
+
+        if (err) {
+          return done(err);
+        }
+
+        res.text.should.equal("hello");
+
+        request(app.listen())
+        .get("/info/")
+        .expect(200, function (err, res) {
+
+          if (err) {
+            return done(err);
+          }
+
+          res.text.should.equal("hellohello2");
+          done();
+        });
+      });
+    });
+
+    it("cannot override strict mode for mounting", function (done) {
+
+      var app = koa();
+      app.use(Router(app, { strict: false }))
+      .mount("/info/", function *(next) {
+        this.status = 204;
+      });
+
+      request(app.listen())
+      .get("/info")
+      .expect(404, done);
+    });
+
+    it("should enable strict mode", function (done) {
+
+      var app = koa();
+      app.use(Router(app, { strict: true }))
+      .get("/info", function *(next) {
+        this.body = (this.body || "" ) + "hello";
+        yield *next;
+      })
+      .get("/info/", function *(next) {
+        this.body = (this.body || "" ) + "hello2";
+        yield *next;
+      });
+
+      request(app.listen())
+      .get("/info")
+      .expect(200, function (err, res) {
+
+        if (err) {
+          return done(err);
+        }
+
+        res.text.should.equal("hello");
+        
+        request(app.listen())
+        .get("/info/")
+        .expect(200, function (err, res) {
+
+          if (err) {
+            return done(err);
+          }
+
+          res.text.should.equal("hello2");
+          done();
+        });
+      });
+    });
+
+    it("should initial with only `opts`", function () {
+
+      var router = new Router({
+        strict: false
+      });
+
+      should.exist(router.opts);
+      router.opts.should.have.property("strict", false);
+    });
+
+    it("should merge original app params with router params", function (done) {
+
+      var app = koa();
+      var a = koa();
+
+      a.use(Router(a, { mergeParams: true }))
+      .get("/:id2", function *(next) {
+
+        should.exist(this.params);
+        this.params.should.have.property("id", "a");
+        this.params.should.have.property("id2", "b");
+        this.status = 204;
+        yield *next;
+      });
+
+      app.use(Router(app))
+      .mount("/:id", function *(next) {
+
+        should.exist(this.params);
+        this.params.should.have.property("id", "a");
+        yield *next;
+      }, a);
+
+      request(app.listen())
+      .get("/a/b")
+      .expect(204, done);
+    });
+  });
+
+  describe("Router#opts.host", function () {
+
+    it("should route by host", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .get("/", { host: "api.example.com" }, function *() {
+
+        this.body = "api";
+      })
+      .get("/", { host: "admin.example.com" }, function *() {
+
+        this.body = "admin";
+      });
+
+      var server = app.listen();
+      request(server)
+      .get("/")
+      .set("Host", "admin.example.com")
+      .expect(200, "admin", function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+        .get("/")
+        .set("Host", "api.example.com:8080")
+        .expect(200, "api", done);
+      });
+    });
+
+    it("should merge host params into ctx.params", function (done) {
+
+      var app = koa();
+      var tenants = new Router({ host: ":tenant.example.com", mergeParams: true });
+      tenants.get("/users/:id", function *() {
+
+        this.body = {
+          tenant: this.params.tenant,
+          id: this.params.id
+        };
+      });
+
+      app.use(Router(app))
+      .mount("/", tenants);
+
+      request(app.listen())
+      .get("/users/3")
+      .set("Host", "acme.example.com")
+      .expect(200, function (err, res) {
+
+        if (err) {
+          return done(err);
+        }
+
+        should.deepEqual(res.body, { tenant: "acme", id: "3" });
+        done();
+      });
+    });
+
+    it("should not match other hosts", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .get("/users/:id", { host: ":tenant.example.com" }, function *() {
+
+        this.status = 204;
+      });
+
+      request(app.listen())
+      .get("/users/3")
+      .set("Host", "a.b.example.com")
+      .expect(404, done);
+    });
+
+    it("should generate URL with host", function () {
+
+      var app = koa();
+      var tenants = new Router({ host: ":tenant.example.com" });
+      tenants.get("user", "/users/:id", function *() {});
+
+      app.use(Router(app))
+      .mount("tenants", "/", tenants);
+
+      app.url("tenants.user", { tenant: "acme", id: 3 }).should.equal("//acme.example.com/users/3");
+
+      var router = new Router({ host: ":tenant.example.com", protocol: "https" });
+      router.get("user", "/users/:id", function *() {});
+      router.url("user", { tenant: "acme", id: 3, tab: "posts" })
+      .should.equal("https://acme.example.com/users/3?tab=posts");
+
+      (function () {
+
+        router.url("user", { id: 3 });
+      }).should.throw(/^Cannot generate host for route `user`/);
+    });
+  });
+
+  describe("Router#opts.normalize", function () {
+
+    it("should redirect to the canonical path keeping the query string", function (done) {
+
+      var app = koa();
+      app.use(Router(app, { caseSensitive: true, normalize: "redirect" }))
+      .get("/users", function *() {
+
+        this.body = "list";
+      })
+      .get("/Users/:name/", { strict: true }, function *() {
+
+        this.body = this.params.name;
+      });
+
+      var server = app.listen();
+      request(server)
+      .get("//users/?page=2")
+      .expect(301)
+      .expect("Location", "/users?page=2", function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+        .get("/users/Alex")
+        .expect(301)
+        .expect("Location", "/Users/Alex/", done);
+      });
+    });
+
+    it("should redirect other methods than GET and HEAD with 308", function (done) {
+
+      var app = koa();
+      app.use(Router(app, { normalize: "redirect" }))
+      .post("/users", function *() {
+
+        this.body = "created";
+      });
+
+      request(app.listen())
+      .post("/users/")
+      .expect(308)
+      .expect("Location", "/users", done);
+    });
+
+    it("should rewrite to the canonical path", function (done) {
+
+      var app = koa();
+      app.use(Router(app, { normalize: "rewrite" }))
+      .get("/users", function *() {
+
+        this.body = "list";
+      });
+
+      request(app.listen())
+      .get("/users//")
+      .expect(200, "list", done);
+    });
+
+    it("should apply the policy of each kind", function (done) {
+
+      var app = koa();
+      app.use(Router(app, {
+        caseSensitive: true,
+        normalize: {
+          duplicateSlashes: "rewrite",
+          trailingSlash: "redirect",
+          status: 308
+        }
+      }))
+      .get("/users", function *() {
+
+        this.body = "list";
+      })
+      .get("/Users/:name/", { strict: true }, function *() {
+
+        this.body = this.params.name;
+      });
+
+      var server = app.listen();
+      request(server)
+      .get("//users")
+      .expect(200, "list", function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+        .get("//users/")
+        .expect(308)
+        .expect("Location", "/users", function (err) {
+
+          if (err) {
+            return done(err);
+          }
+
+          request(server)
+          .get("/users/Alex")
+          .expect(404, done);
+        });
+      });
+    });
+
+    it("should not redirect when the params do not fit their pattern in another case", function (done) {
+
+      var app = koa();
+      app.use(Router(app, { caseSensitive: true, normalize: "redirect" }))
+      .get("/Users/:name([a-z]+)", function *() {
+
+        this.body = this.params.name;
+      });
+
+      request(app.listen())
+      .get("/users/ABC")
+      .expect(404, done);
+    });
+
+    it("should keep the path of parent mounts", function (done) {
+
+      var app = koa();
+      var users = new Router({ normalize: "redirect" });
+      users.get("/:id", function *() {
+
+        this.body = this.params.id;
+      });
+
+      app.use(Router(app))
+      .mount("/api", new Router().mount("/users", users));
+
+      request(app.listen())
+      .get("/api/users//3/?tab=posts")
+      .expect(301)
+      .expect("Location", "/api/users/3?tab=posts", done);
+    });
+
+    it("should ignore non-canonical paths by default", function (done) {
+
+      var app = koa();
+      app.use(Router(app, { caseSensitive: true }))
+      .get("/users", function *() {
+
+        this.body = "list";
+      });
+
+      request(app.listen())
+      .get("/users/")
+      .expect(200, "list", done);
+    });
+  });
+
+  describe("Content negotiation", function () {
+
+    it("should choose the route producing an acceptable type", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .get("/users", { produces: "application/json" }, function *() {
+
+        this.body = { name: "alex" };
+      })
+      .get("/users", { produces: ["text/html", "text/plain"] }, function *() {
+
+        this.body = "<p>alex</p>";
+      });
+
+      var server = app.listen();
+      request(server)
+      .get("/users")
+      .set("Accept", "application/json")
+      .expect("Vary", "Accept")
+      .expect(200, { name: "alex" }, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+        .get("/users")
+        .set("Accept", "text/html")
+        .expect(200, "<p>alex</p>", done);
+      });
+    });
+
+    it("should respond 406 when no route produces an acceptable type", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .get("/users", { produces: ["application/json", "text/html"] }, function *() {
+
+        this.body = { name: "alex" };
+      });
+
+      request(app.listen())
+      .get("/users")
+      .set("Accept", "image/png")
+      .expect(406, done);
+    });
+
+    it("should respond 415 when no route consumes the request type", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .post("/users", { consumes: ["json", "application/x-www-form-urlencoded"] }, function *() {
+
+        this.status = 204;
+      });
+
+      var server = app.listen();
+      request(server)
+      .post("/users")
+      .set("Content-Type", "text/plain")
+      .send("alex")
+      .expect(415, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+        .post("/users")
+        .send({ name: "alex" })
+        .expect(204, done);
+      });
+    });
+
+    it("should not respond 406 when downstream has handled the request", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .get("/users", { produces: "application/json" }, function *() {
+
+        this.body = { name: "alex" };
+      });
+
+      app.use(function *() {
+
+        this.body = "fallback";
+      });
+
+      request(app.listen())
+      .get("/users")
+      .set("Accept", "image/png")
+      .expect(200, "fallback", done);
+    });
+  });
+
+  describe("API versioning", function () {
+
+    it("should dispatch to the newest compatible route", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .get("/users", { version: "1.5.0" }, function *() {
+
+        this.body = "v1";
+      })
+      .get("/users", { version: "^2.0.0" }, function *() {
+
+        this.body = "v2";
+      })
+      .get("/users", { version: "2.0.0-beta" }, function *() {
+
+        this.body = "v2-beta";
+      });
+
+      var server = app.listen();
+      request(server)
+      .get("/users")
+      .expect("X-Api-Version", "2.0.0")
+      .expect(200, "v2", function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+        .get("/users")
+        .set("Accept-Version", "~1")
+        .expect("X-Api-Version", "1.5.0")
+        .expect(200, "v1", done);
+      });
+    });
+
+    it("should read the version of vendor media types", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .get("/users", { version: "1.5.0" }, function *() {
+
+        this.body = "v1";
+      })
+      .get("/users", { version: "2.0.0" }, function *() {
+
+        this.body = "v2";
+      });
+
+      request(app.listen())
+      .get("/users")
+      .set("Accept", "application/vnd.example+json; version=1")
+      .expect(200, "v1", done);
+    });
+
+    it("should respond 400 for unsupported versions", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .get("/users", { version: "^2.0.0" }, function *() {
+
+        this.body = "v2";
+      });
+
+      var server = app.listen();
+      request(server)
+      .get("/users")
+      .set("Accept-Version", "3")
+      .expect(400, "Unsupported version: 3", function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+        .get("/users")
+        .set("Accept-Version", "latest")
+        .expect(400, done);
+      });
+    });
+
+    it("should throw for invalid versions", function () {
+
+      (function () {
+
+        new Router().get("/users", { version: "abc" }, function *() {});
+      }).should.throw("Invalid version `abc` of route `/users`");
+    });
+
+    it("should not affect routes without version", function (done) {
+
+      var app = koa();
+      app.use(Router(app))
+      .get("/status", function *() {
+
+        this.body = "ok";
+      });
+
+      request(app.listen())
+      .get("/status")
+      .set("Accept-Version", "3")
+      .expect(200, "ok", done);
+    });
+  });
+
+  describe("Router#opts handlers", function () {
+
+    it("should respond with the handlers", function (done) {
+
+      var app = koa();
+      app.use(Router(app, {
+        methodNotAllowed: function *(allowed) {
+
+          this.status = 405;
+          this.body = { error: "method not allowed", allowed: allowed };
+        },
+
+        notImplemented: function *(allowed) {
+
+          this.status = 501;
+          this.body = { error: "not implemented" };
+        },
+
+        options: function *(allowed) {
+
+          this.body = { methods: allowed };
+        }
+      }))
+      .get("/users", function *() {})
+      .post("/users", function *() {})
+      .put("/others", function *() {});
+
+      var server = app.listen();
+      request(server)
+      .put("/users")
+      .expect("Allow", "GET, POST")
+      .expect(405, { error: "method not allowed", allowed: ["GET", "POST"] }, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+        .options("/users")
+        .expect(200, { methods: ["GET", "POST"] }, function (err) {
+
+          if (err) {
+            return done(err);
+          }
+
+          request(server)
+          .del("/users")
+          .expect(501, { error: "not implemented" }, done);
         });
       });
     });
 
-    it("should unable strict mode in default except mounting", function (done) {
+    it("should respond with promise handlers", function (done) {
 
       var app = koa();
-      app.use(Router(app))
-      .get("/info/", function *(next) {
-        this.body = (this.body || "" ) + "hello";
-        yield *next;
-      })
-      .mount("/info/", function *(next) {
-        this.body = (this.body || "" ) + "hello2";
-        yield *next;
-      });
+      app.use(Router(app, {
+        methodNotAllowed: function (ctx, allowed) {
+
+          return Promise.resolve().then(function () {
+
+            ctx.status = 405;
+            ctx.body = { error: "method not allowed", allowed: allowed };
+          });
+        }
+      }))
+      .get("/users", function *() {})
+      .post("/users", function *() {})
+      .put("/others", function *() {});
 
       request(app.listen())
-      .get("/info")
-      .expect(200, function (err, res) {
+      .put("/users")
+      .expect(405, { error: "method not allowed", allowed: ["GET", "POST"] }, done);
+    });
+
+    it("should throw errors with the `throw` option", function (done) {
+
+      var app = koa();
+      app.use(function *(next) {
+
+        try {
+          yield *next;
+        } catch (err) {
+          this.status = err.status;
+          this.body = {
+            message: err.message,
+            allowed: err.allowed
+          };
+        }
+      });
+
+      app.use(Router(app, { throw: true }))
+      .get("/users", function *() {})
+      .post("/users", function *() {})
+      .put("/others", function *() {});
+
+      var server = app.listen();
+      request(server)
+      .put("/users")
+      .expect(405, { message: "Method Not Allowed", allowed: ["GET", "POST"] }, function (err) {
 
         if (err) {
           return done(err);
         }
 
-        res.text.should.equal("hello");
-
-        request(app.listen())
-        .get("/info/")
-        .expect(200, function (err, res) {
+        request(server)
+        .del("/users")
+        .expect(501, { message: "Not Implemented", allowed: ["GET", "POST"] }, function (err) {
 
           if (err) {
             return done(err);
           }
 
-          res.text.should.equal("hellohello2");
-          done();
+          request(server)
+          .options("/users")
+          .expect("Allow", "GET, POST")
+          .expect(204, done);
         });
       });
     });
+  });
 
-    it("cannot override strict mode for mounting", function (done) {
+  describe("CORS", function () {
+
+    it("should answer preflight requests with the available methods", function (done) {
 
       var app = koa();
-      app.use(Router(app, { strict: false }))
-      .mount("/info/", function *(next) {
-        this.status = 204;
-      });
+      app.use(Router(app, {
+        cors: {
+          origin: ["https://a.example.com"],
+          credentials: true,
+          maxAge: 600
+        }
+      }))
+      .get("/users", function *() {})
+      .post("/users", function *() {})
+      .put("/others", function *() {});
 
       request(app.listen())
-      .get("/info")
-      .expect(404, done);
+      .options("/users")
+      .set("Origin", "https://a.example.com")
+      .set("Access-Control-Request-Method", "POST")
+      .set("Access-Control-Request-Headers", "X-Token")
+      .expect("Allow", "GET, POST")
+      .expect("Access-Control-Allow-Methods", "GET, POST")
+      .expect("Access-Control-Allow-Origin", "https://a.example.com")
+      .expect("Access-Control-Allow-Credentials", "true")
+      .expect("Access-Control-Allow-Headers", "X-Token")
+      .expect("Access-Control-Max-Age", "600")
+      .expect("Vary", "Origin")
+      .expect(204, done);
     });
 
-    it("should enable strict mode", function (done) {
+    it("should use the options of the route", function (done) {
 
       var app = koa();
-      app.use(Router(app, { strict: true }))
-      .get("/info", function *(next) {
-        this.body = (this.body || "" ) + "hello";
-        yield *next;
+      app.use(Router(app))
+      .get("/users", {
+        cors: {
+          exposeHeaders: ["X-Total"],
+          allowHeaders: "Content-Type"
+        }
+      }, function *() {
+
+        this.body = "users";
       })
-      .get("/info/", function *(next) {
-        this.body = (this.body || "" ) + "hello2";
-        yield *next;
+      .get("/private", function *() {
+
+        this.body = "private";
       });
 
-      request(app.listen())
-      .get("/info")
-      .expect(200, function (err, res) {
+      var server = app.listen();
+      request(server)
+      .get("/users")
+      .set("Origin", "https://b.example.com")
+      .expect("Access-Control-Allow-Origin", "*")
+      .expect("Access-Control-Expose-Headers", "X-Total")
+      .expect(200, "users", function (err) {
 
         if (err) {
           return done(err);
         }
 
-        res.text.should.equal("hello");
-        
-        request(app.listen())
-        .get("/info/")
-        .expect(200, function (err, res) {
+        request(server)
+        .options("/users")
+        .set("Origin", "https://b.example.com")
+        .set("Access-Control-Request-Method", "GET")
+        .expect("Access-Control-Allow-Methods", "GET")
+        .expect("Access-Control-Allow-Headers", "Content-Type")
+        .expect(204, function (err, res) {
 
           if (err) {
             return done(err);
           }
 
-          res.text.should.equal("hello2");
-          done();
+          request(server)
+          .get("/private")
+          .set("Origin", "https://b.example.com")
+          .expect(200, function (err, res) {
+
+            if (err) {
+              return done(err);
+            }
+
+            res.header.should.not.have.property("access-control-allow-origin");
+            done();
+          });
         });
       });
     });
 
-    it("should initial with only `opts`", function () {
+    it("should not allow other origins", function (done) {
 
-      var router = new Router({
-        strict: false
+      var app = koa();
+      app.use(Router(app, {
+        cors: {
+          origin: function (origin) {
+            return /\.example\.com$/.test(origin) && origin;
+          }
+        }
+      }))
+      .get("/users", function *() {
+
+        this.body = "users";
       });
 
-      should.exist(router.opts);
-      router.opts.should.have.property("strict", false);
+      request(app.listen())
+      .get("/users")
+      .set("Origin", "https://evil.com")
+      .expect(200, function (err, res) {
+
+        if (err) {
+          return done(err);
+        }
+
+        res.header.should.not.have.property("access-control-allow-origin");
+        done();
+      });
     });
+  });
 
-    it("should merge original app params with router params", function (done) {
+  describe("Router#onError()", function () {
+
+    it("should handle errors of routes and mounted routers", function (done) {
 
       var app = koa();
-      var a = koa();
+      var api = new Router();
+      var users = new Router();
+      users.get("user", "/:id", function *() {
 
-      a.use(Router(a, { mergeParams: true }))
-      .get("/:id2", function *(next) {
+        this.throw(404, "No user " + this.params.id);
+      });
 
-        should.exist(this.params);
-        this.params.should.have.property("id", "a");
-        this.params.should.have.property("id2", "b");
-        this.status = 204;
-        yield *next;
+      api
+      .mount("/users", users)
+      .onError(function *(err, info) {
+
+        this.status = err.status || 500;
+        this.body = {
+          error: err.message,
+          route: info.route.path,
+          path: info.path,
+          params: Object.assign({}, info.params),
+          ctxPath: this.path
+        };
       });
 
       app.use(Router(app))
-      .mount("/:id", function *(next) {
+      .mount("/api", api);
+
+      request(app.listen())
+      .get("/api/users/3")
+      .expect(404, {
+        error: "No user 3",
+        route: "/:id",
+        path: "/users/3",
+        params: { id: "3" },
+        ctxPath: "/users/3"
+      }, done);
+    });
+
+    it("should let handlers rethrow or convert errors", function (done) {
+
+      var app = koa();
+      var api = new Router();
+      api
+      .get("/crash", function *() {
+
+        throw new Error("crash");
+      })
+      .onError(function (err, ctx, info) {
+
+        return Promise.reject(new Error("api: " + err.message + " at " + info.route.path));
+      });
+
+      app.use(function *(next) {
+
+        try {
+          yield *next;
+        } catch (err) {
+          this.status = 500;
+          this.body = { outer: err.message, path: this.path };
+        }
+      });
+
+      app.use(Router(app))
+      .mount("/api", api);
+
+      request(app.listen())
+      .get("/api/crash")
+      .expect(500, { outer: "api: crash at /crash", path: "/api/crash" }, done);
+    });
+
+    it("should handle errors of the not found handler", function (done) {
+
+      var app = koa();
+      var api = new Router();
+      api
+      .mount("/users", new Router().get("/:id", function *() {}))
+      .notFound(function *() {
+
+        this.throw(404, "Nothing at " + this.path);
+      })
+      .onError(function *(err, info) {
+
+        should.not.exist(info.route);
+        this.status = err.status;
+        this.body = { error: err.message };
+      });
+
+      app.use(Router(app))
+      .mount("/api", api);
+
+      var server = app.listen();
+      request(server)
+      .get("/api/posts")
+      .expect(404, { error: "Nothing at /posts" }, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+        .get("/api/users")
+        .expect(404, { error: "Nothing at /users" }, done);
+      });
+    });
+
+    it("should not handle errors thrown downstream", function (done) {
+
+      var app = koa();
+      var handled = false;
+      var router = new Router();
+      router
+      .onError(function *() {
+
+        handled = true;
+      })
+      .get("/users", function *(next) {
 
-        should.exist(this.params);
-        this.params.should.have.property("id", "a");
         yield *next;
-      }, a);
+      });
+
+      app.use(function *(next) {
+
+        try {
+          yield *next;
+        } catch (err) {
+          this.status = 500;
+        }
+      });
+      app.use(router.middleware());
+      app.use(function *() {
+
+        throw new Error("downstream");
+      });
 
       request(app.listen())
-      .get("/a/b")
-      .expect(204, done);
+      .get("/users")
+      .expect(500, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        handled.should.be.false;
+        done();
+      });
+    });
+  });
+
+  describe("Promise middleware", function () {
+
+    it("should run promise and generator middleware side by side", function (done) {
+
+      var app = koa();
+      var orders = [];
+      var router = new Router();
+      router
+      .param("id", function (id, ctx, next) {
+
+        orders.push("param " + id);
+        return next();
+      })
+      .use(function (ctx, next) {
+
+        orders.push("use");
+        return next();
+      })
+      .get("/users/:id", function (ctx, next) {
+
+        orders.push("async " + ctx.path);
+        return next().then(function () {
+
+          orders.push("after " + ctx.path + " " + ctx.params.id);
+        });
+      }, function *(next) {
+
+        orders.push("generator");
+        yield Promise.resolve();
+        this.body = orders;
+      });
+
+      app.use(router.middleware());
+
+      request(app.listen())
+      .get("/users/3")
+      .expect(200, ["use", "param 3", "async /", "generator", "after / 3"], done);
+    });
+
+    it("should run as Koa 2 middleware", function (done) {
+
+      var app = koa();
+      var orders = [];
+      var router = new Router();
+      router
+      .param("id", function (id, ctx, next) {
+
+        orders.push("param " + id);
+        return next();
+      })
+      .get("/users/:id", function (ctx) {
+
+        orders.push("async " + ctx.path);
+        ctx.body = "user";
+        return Promise.resolve();
+      });
+
+      var middleware = router.asyncMiddleware();
+
+      // Call the router as Koa 2 does, with the context and `next` as arguments.
+      app.use(function *(next) {
+
+        var ctx = this;
+        yield middleware(ctx, function () {
+
+          orders.push("next " + ctx.path);
+          return Promise.resolve();
+        });
+
+        orders.push("restored " + ctx.path);
+      });
+
+      var server = app.listen();
+      request(server)
+      .get("/users/3")
+      .expect(200, "user", function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        should.deepEqual(orders, ["param 3", "async /", "restored /users/3"]);
+
+        orders.length = 0;
+        request(server)
+        .get("/posts")
+        .expect(404, function (err) {
+
+          if (err) {
+            return done(err);
+          }
+
+          should.deepEqual(orders, ["next /posts", "restored /posts"]);
+          done();
+        });
+      });
+    });
+
+    it("should run promise not found handlers", function (done) {
+
+      var app = koa();
+      var router = new Router();
+      router.notFound(function (ctx) {
+
+        ctx.status = 410;
+        return Promise.resolve();
+      });
+
+      app.use(router.middleware());
+
+      request(app.listen())
+      .get("/users")
+      .expect(410, done);
     });
   });
 
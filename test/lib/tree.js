@@ -0,0 +1,136 @@
+"use strict";
+
+/**
+ * Tree tests
+ */
+
+var koa = require("koa");
+var Router = require("../../lib/router");
+var Route = require("../../lib/route");
+var Tree = require("../../lib/tree");
+var request = require("supertest");
+var should = require("should");
+
+
+function route(path, methods) {
+
+  return new Route(path, methods === undefined ? ["GET"] : methods, [function *() {}]);
+}
+
+
+describe("router/lib/tree", function () {
+
+  describe("Tree#lookup()", function () {
+
+    it("should only return routes sharing the static segments", function () {
+
+      var users = route("/users/:id");
+      var posts = route("/posts/:id");
+      var tree = new Tree([users, posts]);
+
+      should.deepEqual(tree.lookup("/users/1"), [users]);
+      should.deepEqual(tree.lookup("/posts/1"), [posts]);
+      should.deepEqual(tree.lookup("/others"), []);
+    });
+
+    it("should keep the registration order", function () {
+
+      var param = route("/:category/:title");
+      var prefix = route("/users", null);
+      var users = route("/users/:id");
+      var regexp = route(/^\/users\/(\d+)$/);
+      var tree = new Tree([users, param, prefix, regexp]);
+
+      should.deepEqual(tree.lookup("/users/1"), [users, param, prefix, regexp]);
+    });
+
+    it("should return prefix routes for deeper paths", function () {
+
+      var prefix = route("/first", null);
+      var nested = route("/first/second", null);
+      var tree = new Tree([nested, prefix]);
+
+      should.deepEqual(tree.lookup("/first/second/third"), [nested, prefix]);
+      should.deepEqual(tree.lookup("/first/sec"), [prefix]);
+    });
+
+    it("should ignore trailing slashes and case of static segments", function () {
+
+      var info = route("/Info/");
+      var tree = new Tree([info]);
+
+      should.deepEqual(tree.lookup("/info"), [info]);
+      should.deepEqual(tree.lookup("/INFO/"), [info]);
+    });
+
+    it("should not index segments shared with parameters", function () {
+
+      var users = route("/users-:id");
+      var files = route("/files/file.:ext");
+      var tree = new Tree([users, files]);
+
+      should.deepEqual(tree.lookup("/users-1"), [users]);
+      should.deepEqual(tree.lookup("/files/file.json"), [users, files]);
+    });
+  });
+
+  describe("Router#match()", function () {
+
+    it("should rebuild the tree when routes are pushed directly", function () {
+
+      var router = new Router();
+      router.get("/users/:id", function *() {});
+      router.match("/users/1").should.have.length(1);
+
+      router.routes.push(route("/users/:id/posts"));
+      router.match("/users/1/posts").should.have.length(1);
+      router.match("/users/1/posts")[0].route.should.equal(router.routes[1]);
+    });
+
+    it("should rebuild the tree when routes are replaced directly", function () {
+
+      var router = new Router();
+      router.get("/users/:id", function *() {});
+      router.match("/users/1").should.have.length(1);
+
+      router.routes[0] = route("/posts/:id");
+      should.not.exist(router.match("/users/1"));
+      router.match("/posts/1")[0].route.should.equal(router.routes[0]);
+    });
+
+    it("should dispatch overlapping routes in registration order", function (done) {
+
+      var app = koa();
+      var calls = [];
+      app.use(Router(app))
+      .mount("/:section", function *(next) {
+
+        calls.push("section");
+        yield *next;
+      })
+      .get("/users/:id", function *(next) {
+
+        this.path.should.equal("/");
+        calls.push("user");
+        yield *next;
+      })
+      .get(/^\/users\/(\d+)$/, function *(next) {
+
+        calls.push("regexp");
+        this.status = 204;
+      });
+
+      request(app.listen())
+      .get("/users/1")
+      .expect(204, function (err) {
+
+        if (err) {
+          return done(err);
+        }
+
+        should.deepEqual(calls, ["section", "user", "regexp"]);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,193 @@
+"use strict";
+
+/**
+ * Validation tests
+ */
+
+var koa = require("koa");
+var Router = require("../../lib/router");
+var request = require("supertest");
+var should = require("should");
+
+
+function *jsonBody(next) {
+
+  var req = this.req;
+  var text = yield new Promise(function (resolve) {
+
+    var data = "";
+    req.setEncoding("utf8");
+    req.on("data", function (chunk) {
+      data += chunk;
+    });
+    req.on("end", function () {
+      resolve(data);
+    });
+  });
+
+  if (text) {
+    this.request.body = JSON.parse(text);
+  }
+
+  yield *next;
+}
+
+
+describe("router/lib/validate", function () {
+
+  var schemas = {
+    params: {
+      type: "object",
+      properties: {
+        id: { type: "integer", minimum: 1 }
+      }
+    },
+    query: {
+      type: "object",
+      properties: {
+        fields: { type: "array", items: { enum: ["name", "email"] } },
+        verbose: { type: "boolean" }
+      },
+      additionalProperties: false
+    },
+    headers: {
+      type: "object",
+      properties: {
+        "x-tenant": { type: "string", pattern: "^[a-z]+$" }
+      },
+      required: ["x-tenant"]
+    },
+    body: {
+      type: "object",
+      properties: {
+        name: { type: "string", minLength: 1 },
+        tags: { type: "array", maxItems: 2 }
+      },
+      required: ["name"]
+    }
+  };
+
+  it("should run the middleware for valid requests", function (done) {
+
+    var app = koa();
+    app.use(jsonBody);
+    app.use(Router(app))
+    .post("/users/:id", { validate: schemas }, function *() {
+
+      this.status = 204;
+    });
+
+    request(app.listen())
+    .post("/users/3?fields=email&verbose=true")
+    .set("X-Tenant", "acme")
+    .send({ name: "alex", tags: ["a"] })
+    .expect(204, done);
+  });
+
+  it("should respond 400 with the list of errors", function (done) {
+
+    var app = koa();
+    app.use(jsonBody);
+    app.use(Router(app))
+    .post("/users/:id", { validate: schemas }, function *() {
+
+      this.status = 204;
+    });
+
+    request(app.listen())
+    .post("/users/0?fields=age&verbose=1&page=2")
+    .set("X-Tenant", "Acme")
+    .send({ name: "", tags: [1, 2, 3] })
+    .expect(400, function (err, res) {
+
+      if (err) {
+        return done(err);
+      }
+
+      should.deepEqual(res.body.errors, [
+        { in: "params", path: "id", message: "must be >= 1" },
+        { in: "query", path: "fields.0", message: "must be one of name, email" },
+        { in: "query", path: "verbose", message: "must be boolean" },
+        { in: "query", path: "page", message: "is not allowed" },
+        { in: "headers", path: "x-tenant", message: "must match ^[a-z]+$" },
+        { in: "body", path: "name", message: "must be at least 1 characters" },
+        { in: "body", path: "tags", message: "must have at most 2 items" }
+      ]);
+      done();
+    });
+  });
+
+  it("should report missing values", function (done) {
+
+    var app = koa();
+    app.use(jsonBody);
+    app.use(Router(app))
+    .post("/users/:id", { validate: schemas }, function *() {
+
+      this.status = 204;
+    });
+
+    request(app.listen())
+    .post("/users/abc")
+    .expect(400, function (err, res) {
+
+      if (err) {
+        return done(err);
+      }
+
+      should.deepEqual(res.body.errors, [
+        { in: "params", path: "id", message: "must be integer" },
+        { in: "headers", path: "x-tenant", message: "is required" },
+        { in: "body", path: "", message: "is required" }
+      ]);
+      done();
+    });
+  });
+
+  it("should validate before the parameter middleware", function (done) {
+
+    var app = koa();
+    var loaded = false;
+    app.use(Router(app))
+    .param("id", function *(id, next) {
+
+      loaded = true;
+      yield *next;
+    })
+    .get("/users/:id", { validate: { params: schemas.params } }, function *() {
+
+      this.status = 204;
+    });
+
+    request(app.listen())
+    .get("/users/abc")
+    .expect(400, function (err) {
+
+      if (err) {
+        return done(err);
+      }
+
+      loaded.should.be.false;
+      done();
+    });
+  });
+
+  it("should expose the schemas through introspection", function () {
+
+    var router = new Router();
+    router.post("/users/:id", { validate: schemas }, function *() {});
+
+    router.stack()[0].validate.should.equal(schemas);
+
+    var op = router.openapi().paths["/users/{id}"].post;
+    should.deepEqual(op.parameters.map(function (param) {
+      return [param.name, param.in, param.required, param.schema.type];
+    }), [
+      ["id", "path", true, "integer"],
+      ["fields", "query", false, "array"],
+      ["verbose", "query", false, "boolean"],
+      ["x-tenant", "header", true, "string"]
+    ]);
+    op.requestBody.content["application/json"].schema.should.equal(schemas.body);
+  });
+});